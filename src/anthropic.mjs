@@ -0,0 +1,449 @@
+// Anthropic Messages API 兼容路由: /v1/messages 和 /v1/messages/count_tokens。
+// 将 system、内容块（text、image、document、tool_use、tool_result、thinking）转换为 Gemini 请求，
+// 响应和流式事件（message_start、content_block_*、message_delta、message_stop）再转换回 Anthropic 格式。
+// 与 OpenAI 路由共用 Key 池、限速和模型别名。
+
+import { fetchWithKeyRetry } from "./key_pool.js";
+import { estimateTokens } from "./rate_limit.js";
+import { logger } from "./logger.js";
+import { endStreamOnError, fetchUpstream } from "./upstream.js";
+import { MODEL_HEADER, fetchWithModelFallback } from "./model_fallback.js";
+import { resolveModel } from "./model_alias.js";
+import { authenticate } from "./auth.js";
+import { getConfig } from "./config.js";
+import { appendContent, toFunctionResponse, transformTools as transformToolList } from "./shared.js";
+import {
+  API_VERSION, BASE_URL, HttpError, generateId, makeHeaders,
+  parseImg, parseStream, parseStreamFlush, readJsonBody, safetySettings,
+} from "./openai.mjs";
+
+export default {
+  // config: loadConfig() 返回的配置，由 handleRequest 传入
+  async fetch(request, config = getConfig()) {
+    if (request.method === "OPTIONS") {
+      return new Response(null, {
+        headers: {
+          "Access-Control-Allow-Origin": "*",
+          "Access-Control-Allow-Methods": "*",
+          "Access-Control-Allow-Headers": "*",
+        }
+      });
+    }
+    try {
+      const pool = authenticate(request, config);
+      if (!pool) {
+        throw new HttpError("Invalid API key. Please use one of the proxy access tokens or your own Gemini API key.", 401);
+      }
+      if (pool.keys.length === 0) {
+        throw new HttpError("No Gemini API keys configured. Please set GEMINI_API_KEY_LIST.", 500);
+      }
+      if (request.method !== "POST") {
+        throw new HttpError("The specified HTTP method is not allowed for the requested resource", 405);
+      }
+      const { pathname } = new URL(request.url);
+      logger.info(`📡 ${request.method} ${pathname}`, { pool_size: pool.keys.length, client_keys: pool.fromClient });
+      const req = await readJsonBody(request);
+      return pathname.endsWith("/count_tokens")
+        ? await handleCountTokens(req, pool)
+        : await handleMessages(req, pool);
+    } catch (err) {
+      const status = err.status ?? 500;
+      (status >= 500 ? logger.error : logger.warn)("🚨 Error occurred", { error: err.message, status, stack: err.stack });
+      return errorBody(status, err.message);
+    }
+  }
+};
+
+// Anthropic 错误体 { type: "error", error: { type, message } }
+const errorTypes = {
+  400: "invalid_request_error",
+  401: "authentication_error",
+  403: "permission_error",
+  404: "not_found_error",
+  413: "request_too_large",
+  429: "rate_limit_error",
+  503: "overloaded_error",
+  504: "timeout_error",
+};
+const errorBody = (status, message, headers) => new Response(JSON.stringify({
+  type: "error",
+  error: { type: errorTypes[status] ?? "api_error", message },
+}), {
+  status,
+  headers: { ...headers, "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" },
+});
+
+// Gemini 错误响应 → Anthropic 错误体，保留 Retry-After
+const errorResponse = async (response) => {
+  const text = await response.text();
+  let message = text;
+  try {
+    message = JSON.parse(text).error?.message ?? text;
+  } catch (err) {
+    // 非JSON错误体，原样作为message
+  }
+  const retryAfter = response.headers.get("Retry-After");
+  return errorBody(response.status, message, retryAfter ? { "Retry-After": retryAfter } : undefined);
+};
+
+// image / document 的 source: base64、url 或 text（仅 document）
+const transformSource = async (source, what, media) => {
+  switch (source?.type) {
+    case "base64":
+      return parseImg(`data:${source.media_type};base64,${source.data}`, media, what);
+    case "url":
+      return parseImg(source.url, media, what);
+    case "text":
+      return { text: source.data };
+    default:
+      throw new HttpError(`Unsupported ${what} source type: "${source?.type}"`, 400);
+  }
+};
+
+const blocksOf = (content) => typeof content === "string" ? [{ type: "text", text: content }] : content ?? [];
+
+// tool_result 的内容: 文本作为 functionResponse，图片等作为额外的 parts
+const transformToolResult = async (block, names, media) => {
+  const name = names.get(block.tool_use_id);
+  if (!name) {
+    throw new HttpError(`No tool_use found for tool_use_id: "${block.tool_use_id}"`, 400);
+  }
+  const extra = [];
+  const texts = [];
+  for (const item of blocksOf(block.content)) {
+    if (item.type === "text") {
+      texts.push(item.text);
+    } else {
+      extra.push(await transformSource(item.source, item.type, media));
+    }
+  }
+  const response = toFunctionResponse(texts.join(""));
+  return [{ functionResponse: { name, response: block.is_error ? { error: response } : response } }, ...extra];
+};
+
+const transformMessages = async (messages) => {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new HttpError("messages: at least one message is required", 400);
+  }
+  const media = { bytes: 0 };
+  const names = new Map(); // tool_use_id → 函数名
+  const contents = [];
+  for (const message of messages) {
+    const role = message.role === "assistant" ? "model" : "user";
+    const parts = [];
+    for (const block of blocksOf(message.content)) {
+      switch (block.type) {
+        case "text":
+          parts.push({ text: block.text });
+          break;
+        case "image":
+        case "document":
+          parts.push(await transformSource(block.source, block.type, media));
+          break;
+        case "tool_use":
+          names.set(block.id, block.name);
+          parts.push({ functionCall: { name: block.name, args: block.input ?? {} } });
+          break;
+        case "tool_result":
+          parts.push(...await transformToolResult(block, names, media));
+          break;
+        case "thinking":
+        case "redacted_thinking":
+          // 历史中的思考内容不回传给 Gemini
+          break;
+        default:
+          throw new HttpError(`Unknown content block type: "${block.type}"`, 400);
+      }
+    }
+    appendContent(contents, role, parts);
+  }
+  for (const content of contents) {
+    if (content.parts.length === 0) {
+      content.parts.push({ text: "" });
+    }
+  }
+  return contents;
+};
+
+const toolChoiceModes = { auto: "AUTO", any: "ANY", tool: "ANY", none: "NONE" };
+
+// Anthropic 的服务端网页搜索工具（web_search_*）对应 Gemini 的 googleSearch，其余只支持带 input_schema 的自定义工具
+const transformTools = (req) => transformToolList(req, (tool) => {
+  if (!tool.input_schema) {
+    throw new HttpError(`Unsupported tool "${tool.name ?? tool.type}": only custom tools with input_schema are supported`, 400);
+  }
+  return { name: tool.name, description: tool.description, parameters: tool.input_schema };
+}, (choice) => {
+  const mode = toolChoiceModes[choice.type];
+  if (!mode) {
+    throw new HttpError(`Unsupported tool_choice type: "${choice.type}"`, 400);
+  }
+  return { mode, name: choice.type === "tool" ? choice.name : undefined };
+});
+
+const transformConfig = (req) => {
+  const cfg = {
+    maxOutputTokens: req.max_tokens,
+    temperature: req.temperature,
+    topP: req.top_p,
+    topK: req.top_k,
+    stopSequences: req.stop_sequences,
+  };
+  // thinking: { type: "enabled", budget_tokens } 开启思考并返回思考摘要
+  if (req.thinking?.type === "enabled") {
+    cfg.thinkingConfig = { thinkingBudget: req.thinking.budget_tokens, includeThoughts: true };
+  } else if (req.thinking?.type === "disabled") {
+    cfg.thinkingConfig = { thinkingBudget: 0 };
+  }
+  return cfg;
+};
+
+const transformSystem = (system) => {
+  const text = typeof system === "string" ? system : (system ?? []).map(block => block.text ?? "").join("\n");
+  return text ? { system_instruction: { parts: [{ text }] } } : {};
+};
+
+const transformRequest = async (req) => ({
+  ...transformSystem(req.system),
+  contents: await transformMessages(req.messages),
+  safetySettings,
+  generationConfig: transformConfig(req),
+  ...transformTools(req),
+});
+
+const stopReasons = {
+  STOP: "end_turn",
+  MAX_TOKENS: "max_tokens",
+  SAFETY: "refusal",
+  RECITATION: "refusal",
+  BLOCKLIST: "refusal",
+  PROHIBITED_CONTENT: "refusal",
+  SPII: "refusal",
+};
+const stopReason = (finishReason, hasToolUse) =>
+  hasToolUse ? "tool_use" : stopReasons[finishReason] ?? (finishReason ? "end_turn" : null);
+
+const transformUsage = (usage = {}) => ({
+  input_tokens: usage.promptTokenCount ?? 0,
+  output_tokens: (usage.candidatesTokenCount ?? 0) + (usage.thoughtsTokenCount ?? 0),
+});
+
+// Gemini part → 内容块类型
+const blockType = (part) => part.functionCall ? "tool_use" : part.thought ? "thinking" : "text";
+
+const transformContent = (parts = []) => {
+  const content = [];
+  for (const part of parts) {
+    const type = blockType(part);
+    const last = content[content.length - 1];
+    if (type === "tool_use") {
+      content.push({ type, id: "toolu_" + generateId(), name: part.functionCall.name, input: part.functionCall.args ?? {} });
+    } else if (type === "thinking") {
+      if (last?.type !== "thinking") {
+        content.push({ type, thinking: "", signature: "" });
+      }
+      const block = content[content.length - 1];
+      block.thinking += part.text ?? "";
+      block.signature = part.thoughtSignature ?? block.signature;
+    } else if (typeof part.text === "string") {
+      if (last?.type === "text") {
+        last.text += part.text;
+      } else {
+        content.push({ type, text: part.text });
+      }
+    }
+  }
+  return content;
+};
+
+async function handleMessages(req, pool) {
+  const resolved = resolveModel(req.model);
+  // 别名的默认参数（如 temperature）仅在请求未指定时生效
+  req = { ...resolved.defaults, ...req };
+  let model = resolved.model;
+  logger.info(`🤖 Using model: ${model}`, { requested: req.model || "default", endpoint: "messages" });
+  const body = await transformRequest(req);
+  const task = req.stream ? "streamGenerateContent?alt=sse" : "generateContent";
+  const payload = JSON.stringify(body);
+  let response;
+  ({ response, model } = await fetchWithModelFallback(pool, model, (apiKey, model) => fetchUpstream(`${BASE_URL}/${API_VERSION}/models/${model}:${task}`, {
+    method: "POST",
+    headers: makeHeaders(apiKey, { "Content-Type": "application/json" }),
+    body: payload,
+  }), { tokens: estimateTokens(payload.length) }));
+  if (!response.ok) {
+    return errorResponse(response);
+  }
+  const id = "msg_" + generateId();
+
+  if (req.stream) {
+    const shared = {};
+    const stream = endStreamOnError(response.body
+      .pipeThrough(new TextDecoderStream())
+      .pipeThrough(new TransformStream({
+        transform: parseStream,
+        flush: parseStreamFlush,
+        buffer: "",
+        shared,
+      }))
+      .pipeThrough(new TransformStream({
+        transform: toAnthropicStream,
+        flush: toAnthropicStreamFlush,
+        id, model,
+        index: -1,
+      })), streamErrorEvent)
+      .pipeThrough(new TextEncoderStream());
+    return new Response(stream, {
+      headers: {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Access-Control-Allow-Origin": "*",
+        [MODEL_HEADER]: model,
+      },
+    });
+  }
+
+  const data = JSON.parse(await response.text());
+  const candidate = data.candidates?.[0];
+  const content = transformContent(candidate?.content?.parts);
+  const hasToolUse = content.some(block => block.type === "tool_use");
+  return new Response(JSON.stringify({
+    id,
+    type: "message",
+    role: "assistant",
+    model: data.modelVersion ?? model,
+    content,
+    stop_reason: candidate ? stopReason(candidate.finishReason, hasToolUse) : "refusal",
+    stop_sequence: null,
+    usage: transformUsage(data.usageMetadata),
+  }), {
+    headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*", [MODEL_HEADER]: model },
+  });
+}
+
+const sseEvent = (type, data) => `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`;
+
+// 流式响应开始后上游出错时的 error 事件
+const streamErrorEvent = (err) => sseEvent("error", {
+  error: { type: errorTypes[err.status] ?? "api_error", message: err.message },
+});
+
+// 流式状态: index 为当前内容块序号，block 为当前内容块类型
+function closeBlock(controller) {
+  if (!this.block) {
+    return;
+  }
+  if (this.block === "thinking") {
+    controller.enqueue(sseEvent("content_block_delta", {
+      index: this.index,
+      delta: { type: "signature_delta", signature: this.signature ?? "" },
+    }));
+  }
+  controller.enqueue(sseEvent("content_block_stop", { index: this.index }));
+  this.block = undefined;
+}
+
+function openBlock(controller, content_block) {
+  closeBlock.call(this, controller);
+  this.index++;
+  this.block = content_block.type;
+  controller.enqueue(sseEvent("content_block_start", { index: this.index, content_block }));
+}
+
+function toAnthropicStream(line, controller) {
+  let data;
+  try {
+    data = JSON.parse(line);
+  } catch (err) {
+    logger.error("Error parsing response", { error: err });
+    return;
+  }
+  if (!this.started) {
+    this.started = true;
+    controller.enqueue(sseEvent("message_start", {
+      message: {
+        id: this.id,
+        type: "message",
+        role: "assistant",
+        model: data.modelVersion ?? this.model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: data.usageMetadata?.promptTokenCount ?? 0, output_tokens: 0 },
+      },
+    }));
+  }
+  if (data.usageMetadata) {
+    this.usage = data.usageMetadata;
+  }
+  const candidate = data.candidates?.[0];
+  if (!candidate) {
+    this.refused = Boolean(data.promptFeedback?.blockReason);
+    return;
+  }
+  for (const part of candidate.content?.parts ?? []) {
+    const type = blockType(part);
+    if (type === "tool_use") {
+      this.hasToolUse = true;
+      openBlock.call(this, controller, { type, id: "toolu_" + generateId(), name: part.functionCall.name, input: {} });
+      controller.enqueue(sseEvent("content_block_delta", {
+        index: this.index,
+        delta: { type: "input_json_delta", partial_json: JSON.stringify(part.functionCall.args ?? {}) },
+      }));
+      closeBlock.call(this, controller);
+    } else if (type === "thinking") {
+      if (this.block !== "thinking") {
+        openBlock.call(this, controller, { type, thinking: "" });
+      }
+      this.signature = part.thoughtSignature ?? this.signature;
+      controller.enqueue(sseEvent("content_block_delta", {
+        index: this.index,
+        delta: { type: "thinking_delta", thinking: part.text ?? "" },
+      }));
+    } else if (typeof part.text === "string") {
+      if (this.block !== "text") {
+        openBlock.call(this, controller, { type, text: "" });
+      }
+      controller.enqueue(sseEvent("content_block_delta", {
+        index: this.index,
+        delta: { type: "text_delta", text: part.text },
+      }));
+    }
+  }
+  if (candidate.finishReason) {
+    this.finishReason = candidate.finishReason;
+  }
+}
+
+function toAnthropicStreamFlush(controller) {
+  if (!this.started) {
+    toAnthropicStream.call(this, "{}", controller);
+  }
+  closeBlock.call(this, controller);
+  controller.enqueue(sseEvent("message_delta", {
+    delta: {
+      stop_reason: this.refused ? "refusal" : stopReason(this.finishReason, this.hasToolUse) ?? "end_turn",
+      stop_sequence: null,
+    },
+    usage: { output_tokens: transformUsage(this.usage).output_tokens },
+  }));
+  controller.enqueue(sseEvent("message_stop", {}));
+}
+
+async function handleCountTokens(req, pool) {
+  const model = resolveModel(req.model).model;
+  const { system_instruction, contents, tools } = await transformRequest(req);
+  const payload = JSON.stringify({ generateContentRequest: { model: `models/${model}`, system_instruction, contents, tools } });
+  const response = await fetchWithKeyRetry(pool, (apiKey) => fetchUpstream(`${BASE_URL}/${API_VERSION}/models/${model}:countTokens`, {
+    method: "POST",
+    headers: makeHeaders(apiKey, { "Content-Type": "application/json" }),
+    body: payload,
+  }), { model });
+  if (!response.ok) {
+    return errorResponse(response);
+  }
+  const { totalTokens } = JSON.parse(await response.text());
+  return new Response(JSON.stringify({ input_tokens: totalTokens ?? 0 }), {
+    headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" },
+  });
+}
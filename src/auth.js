@@ -0,0 +1,39 @@
+// 代理访问控制:
+// - PROXY_ACCESS_TOKENS 配置后，调用方必须携带其中之一才能使用 Key 池
+// - 调用方也可以直接传入自己的 Gemini API Key（多个用逗号分隔），此时不使用 Key 池
+//   （ALLOW_CLIENT_KEYS=false 可关闭）
+
+const GEMINI_KEY_RE = /^AIza[0-9A-Za-z_-]{35}$/;
+
+// 调用方 token: Authorization: Bearer xxx、x-goog-api-key: xxx、x-api-key: xxx（Anthropic 客户端）或 ?key=xxx
+export function getClientToken(request) {
+  const auth = request.headers.get("Authorization");
+  const bearer = auth?.match(/^Bearer\s+(.+)$/i)?.[1];
+  const token = bearer
+    ?? request.headers.get("x-goog-api-key")
+    ?? request.headers.get("x-api-key")
+    ?? new URL(request.url).searchParams.get("key");
+  return token?.trim() || undefined;
+}
+
+// token 中的每一项都是 Gemini API Key 时返回去重后的 Key 列表
+export function parseClientKeys(token) {
+  const keys = token?.split(",").map(key => key.trim()).filter(Boolean) ?? [];
+  return keys.length > 0 && keys.every(key => GEMINI_KEY_RE.test(key)) ? [...new Set(keys)] : undefined;
+}
+
+// 返回本次请求使用的 Key 池 { keys, client, fromClient }；调用方未通过校验时返回 undefined
+export function authenticate(request, config) {
+  const client = getClientToken(request);
+  if (config.ALLOW_CLIENT_KEYS) {
+    const clientKeys = parseClientKeys(client);
+    if (clientKeys) {
+      return { keys: clientKeys, client, fromClient: true };
+    }
+  }
+  const accessTokens = config.PROXY_ACCESS_TOKENS;
+  if (accessTokens.length > 0 && !accessTokens.includes(client)) {
+    return undefined;
+  }
+  return { keys: config.GEMINI_API_KEY_LIST, client, fromClient: false };
+}
@@ -0,0 +1,148 @@
+// 配置: 从平台的 env 对象（Cloudflare Workers 的 env 参数、Deno.env）或 process.env 读取全部设置，
+// 首次加载时统一校验并转换为对应的类型，任一设置无效时抛出 ConfigError 并列出所有问题。
+// handleRequest(request, env) 加载配置后传给各个处理函数；更深层的模块通过 getConfig() 读取当前请求的配置。
+
+import { getRequestContext } from './logger.js';
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// JSON 数组或逗号/换行分隔；以 [ 开头但不是有效的 JSON 数组时抛出错误，避免把残缺的 JSON 当成 Key
+export const parseList = (value) => {
+  if (!value) {
+    return [];
+  }
+  if (value.trim().startsWith('[')) {
+    let list;
+    try {
+      list = JSON.parse(value);
+    } catch (err) {
+      throw new Error(`is not a valid JSON array (${err.message}); use a JSON array or comma/newline-separated values`);
+    }
+    if (!Array.isArray(list) || !list.every(item => typeof item === 'string')) {
+      throw new Error('must be a JSON array of strings');
+    }
+    return list.map(item => item.trim()).filter(Boolean);
+  }
+  return value.split(/[,\n]/).map(item => item.trim()).filter(Boolean);
+};
+
+// 各类设置的解析函数: (value) → 转换后的值，无效时抛出 Error(说明)
+const int = (defaultValue, { min = 0, max = Infinity } = {}) => Object.assign((value) => {
+  const number = Number(value);
+  if (!/^\d+$/.test(value) || number < min || number > max) {
+    throw new Error(`must be an integer${max < Infinity ? ` between ${min} and ${max}` : ` >= ${min}`}`);
+  }
+  return number;
+}, { defaultValue });
+
+const oneOf = (defaultValue, values) => Object.assign((value) => {
+  const normalized = value.toLowerCase();
+  if (!values.includes(normalized)) {
+    throw new Error(`must be one of ${values.join(', ')}`);
+  }
+  return normalized;
+}, { defaultValue });
+
+const bool = (defaultValue) => oneOf(defaultValue, ['true', 'false']);
+
+const json = (defaultValue, expected, isValid) => Object.assign((value) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (err) {
+    throw new Error(`is not valid JSON (${err.message})`);
+  }
+  if (!isValid(parsed)) {
+    throw new Error(`must be a JSON ${expected}`);
+  }
+  return parsed;
+}, { defaultValue });
+
+const list = () => Object.assign((value) => parseList(value), { defaultValue: [], secret: true });
+
+const string = (defaultValue) => Object.assign((value) => value, { defaultValue });
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const SETTINGS = {
+  GEMINI_API_KEY_LIST: list(),
+  PROXY_ACCESS_TOKENS: list(),
+  ALLOW_CLIENT_KEYS: bool('true'),
+  GEMINI_KEY_STRATEGY: oneOf('random', ['random', 'round_robin', 'weighted', 'lru', 'sticky']),
+  GEMINI_KEY_WEIGHTS: json(undefined, 'array or object', value => Array.isArray(value) || isObject(value)),
+  GEMINI_MAX_RETRIES: int(3),
+  GEMINI_KEY_COOLDOWN: int(60),
+  GEMINI_MAX_TOOLS: int(15, { min: 1 }),
+  RATE_LIMIT_KEY_RPM: int(0),
+  RATE_LIMIT_KEY_TPM: int(0),
+  RATE_LIMIT_KEY_RPD: int(0),
+  RATE_LIMIT_CLIENT_RPM: int(0),
+  RATE_LIMIT_CLIENT_RPD: int(0),
+  RATE_LIMIT_STORE: oneOf('memory', ['memory', 'deno_kv']),
+  UPSTREAM_CONNECT_TIMEOUT: int(120000),
+  UPSTREAM_FIRST_BYTE_TIMEOUT: int(60000),
+  UPSTREAM_TOTAL_TIMEOUT: int(600000),
+  LOG_LEVEL: oneOf('info', ['debug', 'info', 'warn', 'error', 'silent']),
+  LOG_FORMAT: oneOf('text', ['text', 'json']),
+  VERIFY_MODEL: string('gemini-2.5-flash'),
+  VERIFY_CONCURRENCY: int(5, { min: 1 }),
+  VERIFY_TIMEOUT: int(15000, { min: 1 }),
+  MODEL_ALIASES: json({}, 'object', isObject),
+  MODEL_FALLBACKS: json({}, 'object', isObject),
+  MODELS_CACHE_TTL: int(3600),
+  EMBEDDINGS_BATCH_SIZE: int(100, { min: 1, max: 100 }),
+  EMBEDDINGS_CONCURRENCY: int(4, { min: 1 }),
+  MEDIA_MAX_BYTES: int(20 * 1024 * 1024, { min: 1 }),
+  MEDIA_REMOTE_FETCH: bool('true'),
+  RESPONSE_CACHE_TTL: int(0),
+  RESPONSE_CACHE_MAX_ENTRY_BYTES: int(1024 * 1024),
+  RESPONSE_CACHE_MAX_BYTES: int(50 * 1024 * 1024),
+  RESPONSE_CACHE_STORE: oneOf('memory', ['memory', 'cloudflare_cache']),
+  CONTEXT_CACHE_MIN_TOKENS: int(0),
+  CONTEXT_CACHE_TTL: int(600, { min: 1 }),
+};
+
+// 同一个 env 对象只解析一次
+const loaded = new WeakMap();
+
+// 返回 { 设置名: 转换后的值 }；Cloudflare 的 [vars] 中可以直接写 JSON 数组 / 对象，按 JSON 文本处理
+export function loadConfig(env = process.env) {
+  if (loaded.has(env)) {
+    return loaded.get(env);
+  }
+  const config = {};
+  const problems = [];
+  for (const [name, parse] of Object.entries(SETTINGS)) {
+    const raw = env[name];
+    const value = typeof raw === 'string' || raw === undefined ? raw?.trim() : JSON.stringify(raw);
+    if (!value) {
+      config[name] = parse.defaultValue;
+      continue;
+    }
+    try {
+      config[name] = parse(value);
+    } catch (err) {
+      problems.push(`${name} ${err.message}${parse.secret ? '' : ` (got "${value.length > 100 ? value.slice(0, 100) + '...' : value}")`}`);
+    }
+  }
+  config.ALLOW_CLIENT_KEYS = config.ALLOW_CLIENT_KEYS === 'true';
+  config.MEDIA_REMOTE_FETCH = config.MEDIA_REMOTE_FETCH === 'true';
+  if (problems.length === 0 && config.GEMINI_API_KEY_LIST.length === 0 && !config.ALLOW_CLIENT_KEYS) {
+    problems.push('GEMINI_API_KEY_LIST is empty and ALLOW_CLIENT_KEYS is false, so no request can be served');
+  }
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  Object.freeze(config);
+  loaded.set(env, config);
+  return config;
+}
+
+// 当前请求的配置；不在请求中时（例如启动阶段）读取 process.env
+export const getConfig = () => getRequestContext().config ?? loadConfig();
@@ -0,0 +1,165 @@
+// Gemini 上下文缓存: OpenAI 对话请求中每轮都重复发送的前缀（systemInstruction / tools / toolConfig，
+// 以及上一轮请求已经发送过的 contents）足够长时，创建为 cachedContents，之后的请求通过 cachedContent 引用，
+// 只发送其余的 contents，命中部分按缓存价格计费。
+// cachedContents 只能由创建它的 API Key 以同一模型使用，因此按 (Key, 模型, 前缀内容) 分别创建并记录。
+// CONTEXT_CACHE_MIN_TOKENS: 前缀的估算 token 数达到该值时才使用缓存，0 或未设置表示关闭；
+// 已有缓存时，只有更长的重复前缀比它多出至少该数量的 token 才创建新缓存，避免每轮对话都创建一次
+// （Gemini 对缓存内容有最小 token 数要求，低于要求时创建失败，请求照常发送）
+// CONTEXT_CACHE_TTL: cachedContents 的有效期（秒），过期后下一次请求重新创建
+
+import { getConfig } from './config.js';
+import { estimateTokens } from './rate_limit.js';
+import { fetchUpstream } from './upstream.js';
+import { logger, maskKey } from './logger.js';
+import { sha256 } from './shared.js';
+
+const CACHED_CONTENTS_URL = 'https://generativelanguage.googleapis.com/v1beta/cachedContents';
+const CACHED_FIELDS = ['system_instruction', 'tools', 'tool_config'];
+// 提前于 expireTime 视为过期，避免引用即将过期的缓存
+const EXPIRY_MARGIN_MS = 30 * 1000;
+// 创建失败后在这段时间内不再尝试，直接发送完整请求
+const FAILURE_BACKOFF_MS = 5 * 60 * 1000;
+const MAX_HANDLES = 1000;
+
+// 缓存句柄: id → { promise: Promise<name | undefined>, expiresAt }
+const handles = new Map();
+// 最近请求发送过的完整前缀（与 Key 无关的前缀摘要）: digest → { expiresAt }。
+// 下一轮对话会原样重复上一轮的全部 contents，再追加新的消息
+const seenPrefixes = new Map();
+
+const prune = (entries, now) => {
+  for (const [id, entry] of entries) {
+    if (entry.expiresAt <= now) {
+      entries.delete(id);
+    }
+  }
+  // Map 按插入顺序遍历，超出上限时丢弃最早记录的条目（对应的缓存到期后由 Gemini 自动删除）
+  for (const id of entries.keys()) {
+    if (entries.size <= MAX_HANDLES) {
+      break;
+    }
+    entries.delete(id);
+  }
+};
+
+// 依次计算前缀 [字段, contents[0..n)]（n = 0..contents.length）的摘要和序列化大小。
+// 每个摘要由上一个摘要和新增的一条 content 计算，长对话不需要反复序列化整个前缀
+async function prefixDigests(model, fields, contents) {
+  const encoder = new TextEncoder();
+  const serialized = JSON.stringify(fields);
+  let digest = await sha256(`${model}\n${serialized}`);
+  let bytes = encoder.encode(serialized).byteLength;
+  const prefixes = [{ digest, bytes }];
+  for (const content of contents) {
+    const text = JSON.stringify(content);
+    digest = await sha256(`${digest}\n${text}`);
+    bytes += encoder.encode(text).byteLength;
+    prefixes.push({ digest, bytes });
+  }
+  return prefixes;
+}
+
+async function createCachedContent(apiKey, model, prefix, ttl) {
+  const response = await fetchUpstream(CACHED_CONTENTS_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+    body: JSON.stringify({ model: `models/${model}`, ...prefix, ttl: `${ttl}s` }),
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${(await response.text()).substring(0, 500)}`);
+  }
+  return response.json();
+}
+
+// 返回可引用的 cachedContents 名称，无法使用缓存时返回 undefined；同一前缀的并发请求共用一次创建
+function getCachedContent(id, apiKey, model, prefix, ttl) {
+  const now = Date.now();
+  const handle = handles.get(id);
+  if (handle && handle.expiresAt > now) {
+    return handle.promise;
+  }
+  prune(handles, now);
+  const entry = { expiresAt: now + ttl * 1000 - EXPIRY_MARGIN_MS };
+  entry.promise = createCachedContent(apiKey, model, prefix, ttl)
+    .then(({ name, expireTime }) => {
+      logger.info('🗄️ Context cache created', { name, model, key: maskKey(apiKey), expire_time: expireTime });
+      if (expireTime) {
+        entry.expiresAt = Date.parse(expireTime) - EXPIRY_MARGIN_MS;
+      }
+      return name;
+    })
+    .catch(err => {
+      logger.warn('⚠️ Failed to create context cache, sending the full request', { model, error: err.message });
+      entry.expiresAt = Date.now() + FAILURE_BACKOFF_MS;
+      return undefined;
+    });
+  handles.set(id, entry);
+  return entry.promise;
+}
+
+// 用 send(body) 发送 generateContent 请求；重复的前缀足够长时改为引用 cachedContents，只发送其余的 contents。
+// 最后一条 content 总是随请求发送。引用的缓存已在 Gemini 端失效时丢弃句柄，并以完整请求重发一次
+export async function fetchWithContextCache(apiKey, model, body, send) {
+  const { CONTEXT_CACHE_MIN_TOKENS: minTokens, CONTEXT_CACHE_TTL: ttl } = getConfig();
+  if (!minTokens || body.cachedContent) {
+    return send(body);
+  }
+  const fields = {};
+  const rest = { ...body };
+  for (const field of CACHED_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    delete rest[field];
+  }
+  const contents = body.contents ?? [];
+  const prefixes = await prefixDigests(model, fields, contents);
+  const now = Date.now();
+  prune(seenPrefixes, now);
+  seenPrefixes.set(prefixes.at(-1).digest, { expiresAt: now + ttl * 1000 });
+
+  const handleId = (n) => sha256(`${apiKey}\n${prefixes[n].digest}`);
+  // 已有缓存的最长前缀
+  let cached = -1, cachedId;
+  for (let n = contents.length - 1; n >= 0 && cached < 0; n--) {
+    const id = await handleId(n);
+    if (handles.get(id)?.expiresAt > now) {
+      cached = n;
+      cachedId = id;
+    }
+  }
+  // 之前的请求完整发送过的最长前缀；只含字段（n = 0）时每轮都会重复
+  let repeated = 0;
+  for (let n = contents.length - 1; n > 0; n--) {
+    if (seenPrefixes.get(prefixes[n].digest)?.expiresAt > now) {
+      repeated = n;
+      break;
+    }
+  }
+  const tokens = (n) => (n < 0 ? 0 : estimateTokens(prefixes[n].bytes));
+  let n = cached, id = cachedId;
+  if (repeated > cached && tokens(repeated) - tokens(cached) >= minTokens) {
+    n = repeated;
+    id = await handleId(n);
+  }
+  if (n < 0) {
+    return send(body);
+  }
+
+  const prefix = { ...fields, ...(n > 0 && { contents: contents.slice(0, n) }) };
+  const name = await getCachedContent(id, apiKey, model, prefix, ttl);
+  if (!name) {
+    return send(body);
+  }
+  const response = await send({ ...rest, contents: contents.slice(n), cachedContent: name });
+  if (![400, 403, 404].includes(response.status)) {
+    return response;
+  }
+  const text = await response.text();
+  if (!/cached ?content/i.test(text)) {
+    return new Response(text, response);
+  }
+  logger.warn('⚠️ Context cache is no longer available, resending the full request', { name, status: response.status });
+  handles.delete(id);
+  return send(body);
+}
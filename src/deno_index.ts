@@ -1,9 +1,18 @@
 import { handleRequest } from "./handle_request.js";
+import { loadConfig } from "./config.js";
+import { setRateLimitStore, DenoKVStore } from "./rate_limit.js";
+
+// 启动时校验配置，配置无效时直接退出并列出所有问题
+const env = Deno.env.toObject();
+const config = loadConfig(env);
+
+// RATE_LIMIT_STORE=deno_kv 时，速率限制计数保存在 Deno KV 中
+if (config.RATE_LIMIT_STORE === "deno_kv") {
+  setRateLimitStore(new DenoKVStore(await Deno.openKv()));
+}
 
 async function denoHandleRequest(req: Request): Promise<Response> {
-  const url = new URL(req.url);
-  console.log('Request URL:', req.url);
-  return handleRequest(req);
+  return handleRequest(req, env);
 };
 
-Deno.serve({ port: 80 },denoHandleRequest); 
\ No newline at end of file
+Deno.serve({ port: 80 },denoHandleRequest);
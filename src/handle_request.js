@@ -1,7 +1,131 @@
 import { handleVerification } from './verify_keys.js';
-import openai from './openai.mjs';
+import openai, { MODEL_DETAIL_RE } from './openai.mjs';
+import anthropic from './anthropic.mjs';
+import { MODEL_HEADER, fetchWithModelFallback } from './model_fallback.js';
+import { fetchUpstream } from './upstream.js';
+import { withResponseCache } from './response_cache.js';
+import { ConfigError, loadConfig } from './config.js';
+import { fetchWithKeyRetry, getKeyStates } from './key_pool.js';
+import { authenticate, getClientToken } from './auth.js';
+import { checkClientLimit, estimateTokens } from './rate_limit.js';
+import { logger, maskKey, runWithRequestId } from './logger.js';
+import { getStats, getPrometheusMetrics } from './metrics.js';
 
-export async function handleRequest(request) {
+// Google 格式的 401 错误
+const unauthorized = () => new Response(JSON.stringify({
+  error: {
+    code: 401,
+    message: 'Invalid proxy access token. Please provide a valid token via x-goog-api-key or Authorization: Bearer.',
+    status: 'UNAUTHENTICATED'
+  }
+}), {
+  status: 401,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+// 调用方超出 RATE_LIMIT_CLIENT_* 限额时的 429，OpenAI / Anthropic 路由使用各自的错误格式
+const rateLimited = (waitMs, format) => new Response(JSON.stringify(format === 'anthropic' ? {
+  type: 'error',
+  error: {
+    type: 'rate_limit_error',
+    message: 'Rate limit reached for this client. Please retry later.'
+  }
+} : {
+  error: format === 'openai' ? {
+    message: 'Rate limit reached for this client. Please retry later.',
+    type: 'rate_limit_error',
+    code: 'rate_limit_exceeded'
+  } : {
+    code: 429,
+    message: 'Rate limit reached for this client. Please retry later.',
+    status: 'RESOURCE_EXHAUSTED'
+  }
+}), {
+  status: 429,
+  headers: {
+    'Content-Type': 'application/json',
+    'Retry-After': String(Math.ceil(waitMs / 1000)),
+    ...(format !== 'google' && { 'Access-Control-Allow-Origin': '*' })
+  }
+});
+
+// 原生路由中可以缓存的请求: 模型详情、Embeddings，以及 temperature 为 0 的非流式 generateContent。
+// （GET /v1beta/models 以 /models 结尾，由 OpenAI 路由处理）
+// 返回缓存键中的 { model, body }，不可缓存时返回 undefined
+const nativeCacheScope = (config, method, pathname, modelMatch, body) => {
+  if (!config.RESPONSE_CACHE_TTL) {
+    return undefined;
+  }
+  const action = modelMatch?.[3] ?? '';
+  if (method === 'GET') {
+    return modelMatch && !action ? { model: modelMatch[2] } : undefined;
+  }
+  if (method !== 'POST' || !/^:(generateContent|embedContent|batchEmbedContents)$/i.test(action)) {
+    return undefined;
+  }
+  let json;
+  try {
+    json = JSON.parse(new TextDecoder().decode(body));
+  } catch (err) {
+    return undefined;
+  }
+  if (/^:generateContent$/i.test(action) && json?.generationConfig?.temperature !== 0) {
+    return undefined;
+  }
+  return { model: modelMatch[2], body: json };
+};
+
+// 配置无效时所有请求都返回 500 并列出问题，日志中每个 env 对象只记录一次
+const reportedConfigErrors = new WeakSet();
+
+const configError = (env, error) => {
+  if (!reportedConfigErrors.has(env)) {
+    reportedConfigErrors.add(env);
+    logger.error('[Config] ❌ 配置无效，请检查环境变量', { problems: error.problems });
+  }
+  return new Response(JSON.stringify({
+    error: {
+      code: 500,
+      message: error.message,
+      status: 'FAILED_PRECONDITION'
+    }
+  }), {
+    status: 500,
+    headers: { 'Content-Type': 'application/json' }
+  });
+};
+
+// 为每个请求分配请求ID（沿用调用方的 x-request-id），记录访问日志并在响应头中返回。
+// env 为平台提供的环境变量对象（Cloudflare Workers 的 env 参数），默认读取 process.env
+export async function handleRequest(request, env = process.env) {
+  let config;
+  try {
+    config = loadConfig(env);
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      return configError(env, error);
+    }
+    throw error;
+  }
+  const requestId = request.headers.get('x-request-id') || crypto.randomUUID();
+  return runWithRequestId(requestId, async () => {
+    const start = Date.now();
+    const { pathname } = new URL(request.url);
+    const response = await dispatch(request, config);
+    logger.info(`${request.method} ${pathname}`, {
+      status: response.status,
+      duration_ms: Date.now() - start,
+    });
+    try {
+      response.headers.set('x-request-id', requestId);
+    } catch (err) {
+      // 不可变的响应头，忽略
+    }
+    return response;
+  }, { signal: request.signal, config });
+}
+
+async function dispatch(request, config) {
 
   const url = new URL(request.url);
   const pathname = url.pathname;
@@ -16,48 +140,80 @@ export async function handleRequest(request) {
 
   // 健康检查端点，用于Cursor等客户端验证服务状态
   if (pathname === '/health') {
-    try {
-      const apiKeys = JSON.parse(process.env.GEMINI_API_KEY_LIST || '[]');
-      const status = {
-        status: 'healthy',
-        service: 'OpenAI-to-Gemini Proxy',
-        timestamp: new Date().toISOString(),
-        api_keys_count: apiKeys.length,
-        endpoints: ['/v1/chat/completions', '/v1/embeddings', '/v1/models']
-      };
-      return new Response(JSON.stringify(status, null, 2), {
+    const apiKeys = config.GEMINI_API_KEY_LIST;
+    const status = {
+      status: 'healthy',
+      service: 'OpenAI-to-Gemini Proxy',
+      timestamp: new Date().toISOString(),
+      api_keys_count: apiKeys.length,
+      api_keys_available: getKeyStates(apiKeys).filter(state => state.available).length,
+      endpoints: ['/v1/chat/completions', '/v1/completions', '/v1/responses', '/v1/embeddings', '/v1/models', '/v1/messages', '/stats', '/metrics']
+    };
+    return new Response(JSON.stringify(status, null, 2), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // 用量统计，配置了 PROXY_ACCESS_TOKENS 时需要携带访问令牌
+  if (pathname === '/stats' || pathname === '/metrics') {
+    const pool = authenticate(request, config);
+    if (!pool || pool.fromClient) {
+      return unauthorized();
+    }
+    if (pathname === '/metrics') {
+      return new Response(getPrometheusMetrics(), {
         status: 200,
-        headers: { 'Content-Type': 'application/json' }
-      });
-    } catch (error) {
-      return new Response(JSON.stringify({
-        status: 'error',
-        message: 'Configuration error: ' + error.message
-      }), {
-        status: 500,
-        headers: { 'Content-Type': 'application/json' }
+        headers: { 'Content-Type': 'text/plain; version=0.0.4' }
       });
     }
+    return new Response(JSON.stringify(getStats(getKeyStates(config.GEMINI_API_KEY_LIST)), null, 2), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
   }
 
   if (pathname === '/verify' && request.method === 'POST') {
-    return handleVerification(request);
+    const pool = authenticate(request, config);
+    if (!pool) {
+      return unauthorized();
+    }
+    return handleVerification(request, pool, config);
+  }
+
+  const isOpenAiRoute = url.pathname.endsWith("/chat/completions") || url.pathname.endsWith("/completions") || url.pathname.endsWith("/embeddings") || url.pathname.endsWith("/responses") || url.pathname.endsWith("/models") || MODEL_DETAIL_RE.test(url.pathname);
+
+  const isAnthropicRoute = /\/messages(\/count_tokens)?$/.test(url.pathname);
+
+  // 按调用方 token 限速
+  if (request.method !== 'OPTIONS') {
+    const wait = await checkClientLimit(getClientToken(request));
+    if (wait > 0) {
+      return rateLimited(wait, isOpenAiRoute ? 'openai' : isAnthropicRoute ? 'anthropic' : 'google');
+    }
   }
 
   // 处理OpenAI格式请求
-  if (url.pathname.endsWith("/chat/completions") || url.pathname.endsWith("/completions") || url.pathname.endsWith("/embeddings") || url.pathname.endsWith("/models")) {
-    return openai.fetch(request);
+  if (isOpenAiRoute) {
+    return openai.fetch(request, config);
+  }
+
+  // 处理Anthropic格式请求
+  if (isAnthropicRoute) {
+    return anthropic.fetch(request, config);
   }
 
-  const targetUrl = `https://generativelanguage.googleapis.com${pathname}${search}`;
+  // ?key= 可能携带调用方的Key列表，改由请求头发送所选的Key
+  const params = new URLSearchParams(search);
+  params.delete('key');
+  const query = params.toString();
+  const targetUrl = (path) => `https://generativelanguage.googleapis.com${path}${query ? '?' + query : ''}`;
 
   try {
     const headers = new Headers();
-    const apiKeys = JSON.parse(process.env.GEMINI_API_KEY_LIST);
-    if (apiKeys.length > 0) {
-      const selectedKey = apiKeys[Math.floor(Math.random() * apiKeys.length)];
-      console.log(`Gemini Selected API Key: ${selectedKey}`);
-      headers.set('x-goog-api-key', selectedKey);
+    const pool = authenticate(request, config);
+    if (!pool) {
+      return unauthorized();
     }
 
     for (const [key, value] of request.headers.entries()) {
@@ -67,41 +223,78 @@ export async function handleRequest(request) {
           headers.set(key, value);
         }
       } catch (error) {
-        console.error('❌ Error processing header:', { key, value, error: error.message });
+        logger.error('❌ Error processing header', { key, error: error.message });
         // 继续处理其他头部，不让单个错误阻止整个流程
       }
     }
 
-    console.log('Request Sending to Gemini')
-    console.log('targetUrl:' + targetUrl)
-    console.log(headers)
+    logger.debug('Request Sending to Gemini', { path: pathname, content_type: headers.get('content-type') });
 
-    const response = await fetch(targetUrl, {
-      method: request.method,
-      headers: headers,
-      body: request.body
-    });
-
-    console.log("Call Gemini Success")
+    // 缓存请求体，以便换用其他Key重试
+    const body = ['GET', 'HEAD'].includes(request.method) ? undefined : await request.arrayBuffer();
+    const doFetch = (selectedKey, path = pathname) => {
+      if (selectedKey) {
+        logger.debug('Gemini Selected API Key', { key: maskKey(selectedKey) });
+        headers.set('x-goog-api-key', selectedKey);
+      }
+      return fetchUpstream(targetUrl(path), {
+        method: request.method,
+        headers: headers,
+        body
+      });
+    };
+    const tokens = estimateTokens(body?.byteLength);
+    const modelMatch = pathname.match(/^(.*\/models\/)([^/:]+)(:.*)?$/);
+    const forward = async () => {
+      let response, model = modelMatch?.[2];
+      if (modelMatch && /^:(stream)?generateContent$/i.test(modelMatch[3] ?? '')) {
+        // 生成类请求在模型过载时按 MODEL_FALLBACKS 降级，替换路径中的模型名
+        const [, prefix, , method] = modelMatch;
+        ({ response, model } = await fetchWithModelFallback(pool, model,
+          (selectedKey, model) => doFetch(selectedKey, prefix + model + method), { tokens }));
+      } else {
+        response = await fetchWithKeyRetry(pool, doFetch, { tokens, model });
+      }
 
-    const responseHeaders = new Headers(response.headers);
+      const responseHeaders = new Headers(response.headers);
+      if (model) {
+        responseHeaders.set(MODEL_HEADER, model);
+      }
 
-    console.log('Header from Gemini:')
-    console.log(responseHeaders)
+      responseHeaders.delete('transfer-encoding');
+      responseHeaders.delete('connection');
+      responseHeaders.delete('keep-alive');
+      responseHeaders.delete('content-encoding');
+      responseHeaders.set('Referrer-Policy', 'no-referrer');
 
-    responseHeaders.delete('transfer-encoding');
-    responseHeaders.delete('connection');
-    responseHeaders.delete('keep-alive');
-    responseHeaders.delete('content-encoding');
-    responseHeaders.set('Referrer-Policy', 'no-referrer');
+      return new Response(response.body, {
+        status: response.status,
+        headers: responseHeaders
+      });
+    };
 
-    return new Response(response.body, {
-      status: response.status,
-      headers: responseHeaders
-    });
+    const cacheScope = nativeCacheScope(config, request.method, pathname, modelMatch, body);
+    if (!cacheScope) {
+      return await forward();
+    }
+    return await withResponseCache(request, { ...cacheScope, pool, scope: `google:${request.method} ${pathname}?${query}` }, forward);
 
   } catch (error) {
-    console.error('Failed to fetch:', error);
+    // 上游超时返回 Google 格式的 504；调用方已断开时记录 499
+    if (error?.status === 504 || error?.status === 499) {
+      logger.warn('Upstream request aborted', { error: error.message, status: error.status });
+      return new Response(JSON.stringify({
+        error: {
+          code: error.status,
+          message: error.message,
+          status: error.status === 504 ? 'DEADLINE_EXCEEDED' : 'CANCELLED'
+        }
+      }), {
+        status: error.status,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    logger.error('Failed to fetch', { error });
     return new Response('Internal Server Error\n' + error?.stack, {
       status: 500,
       headers: { 'Content-Type': 'text/plain' }
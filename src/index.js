@@ -1,9 +1,36 @@
   import { handleRequest } from "./handle_request.js";
+  import { setRateLimitStore, CloudflareDurableObjectStore, CloudflareKVStore } from "./rate_limit.js";
+  import { setResponseCacheStore, CloudflareKVCacheStore, CloudflareCacheStore } from "./response_cache.js";
+
+  // Durable Object 类需要从入口模块导出（wrangler.toml 中的 RATE_LIMIT_COUNTER 绑定）
+  export { RateLimitCounter } from "./rate_limit.js";
+
+  let rateLimitStoreReady = false;
+  let responseCacheStoreReady = false;
 
   export default {
     async fetch (req, env, context) {
-      const url = new URL(req.url);
-      console.log('Request URL:', req.url); 
-      return handleRequest(req);
+      // 速率限制计数在多个实例间共享: 绑定了 RATE_LIMIT_COUNTER 时保存在 Durable Objects 中（严格限速），
+      // 否则绑定了 RATE_LIMIT_KV 时保存在 Workers KV 中（近似计数，无法限制突发请求）
+      if (!rateLimitStoreReady) {
+        if (env?.RATE_LIMIT_COUNTER) {
+          setRateLimitStore(new CloudflareDurableObjectStore(env.RATE_LIMIT_COUNTER));
+        } else if (env?.RATE_LIMIT_KV) {
+          setRateLimitStore(new CloudflareKVStore(env.RATE_LIMIT_KV));
+        }
+        rateLimitStoreReady = true;
+      }
+      // 响应缓存: 绑定了 RESPONSE_CACHE_KV 时保存在 Workers KV 中；RESPONSE_CACHE_STORE=cloudflare_cache 时使用 Cache API
+      // （workers.dev 域名下 Cache API 不生效）
+      if (!responseCacheStoreReady) {
+        if (env?.RESPONSE_CACHE_KV) {
+          setResponseCacheStore(new CloudflareKVCacheStore(env.RESPONSE_CACHE_KV));
+        } else if (env?.RESPONSE_CACHE_STORE === "cloudflare_cache" && globalThis.caches?.default) {
+          setResponseCacheStore(new CloudflareCacheStore(caches.default));
+        }
+        responseCacheStoreReady = true;
+      }
+      // 配置从 env 参数（wrangler.toml 的 [vars] 和 Secrets）读取
+      return handleRequest(req, env);
     }
   }
\ No newline at end of file
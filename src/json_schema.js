@@ -0,0 +1,179 @@
+// JSON Schema → Gemini responseSchema（OpenAPI 3.0 子集）转换。
+// 内联 $ref、把 type 数组/null 转成 nullable、oneOf 转成 anyOf、合并 allOf，并去掉 Gemini 不支持的关键字；
+// 无法表示的结构（递归 $ref、非字符串 enum、not、if/then/else、元组等）抛出 SchemaError。
+
+// Gemini Schema 支持的字段，其余字段直接丢弃
+const SUPPORTED_KEYS = new Set([
+  "type", "format", "title", "description", "nullable", "enum", "items", "minItems", "maxItems",
+  "properties", "required", "minProperties", "maxProperties", "minLength", "maxLength", "pattern",
+  "minimum", "maximum", "anyOf", "propertyOrdering", "default", "example",
+]);
+const TYPES = new Set(["string", "number", "integer", "boolean", "array", "object"]);
+const UNSUPPORTED = ["not", "if", "then", "else", "prefixItems", "patternProperties", "dependentSchemas"];
+
+export class SchemaError extends Error {
+  constructor(message, path) {
+    super(`${message} (at ${path || "#"})`);
+    this.name = "SchemaError";
+  }
+}
+
+// 解析 "#/$defs/Name" 这类文档内引用
+const resolveRef = (root, ref, path) => {
+  if (!ref.startsWith("#")) {
+    throw new SchemaError(`external $ref "${ref}" is not supported`, path);
+  }
+  let target = root;
+  for (const token of ref.slice(1).split("/").filter(Boolean)) {
+    target = target?.[decodeURIComponent(token).replace(/~1/g, "/").replace(/~0/g, "~")];
+  }
+  if (typeof target !== "object" || target === null) {
+    throw new SchemaError(`cannot resolve $ref "${ref}"`, path);
+  }
+  return target;
+};
+
+// allOf 中的各个子 schema 合并为一个
+const mergeAllOf = (schemas) => {
+  const merged = {};
+  for (const schema of schemas) {
+    for (const [key, value] of Object.entries(schema)) {
+      if (key === "properties") {
+        merged.properties = { ...merged.properties, ...value };
+      } else if (key === "required") {
+        merged.required = [...new Set([...(merged.required ?? []), ...value])];
+      } else {
+        merged[key] = value;
+      }
+    }
+  }
+  return merged;
+};
+
+function convert(schema, root, path, refs) {
+  if (schema === true || (typeof schema === "object" && schema !== null && Object.keys(schema).length === 0)) {
+    throw new SchemaError("schemas that accept any value cannot be represented", path);
+  }
+  if (typeof schema !== "object" || schema === null || Array.isArray(schema)) {
+    throw new SchemaError("schema must be an object", path);
+  }
+  if (schema.$ref) {
+    if (refs.includes(schema.$ref)) {
+      throw new SchemaError(`recursive $ref "${schema.$ref}" cannot be represented`, path);
+    }
+    const { $ref, ...rest } = schema;
+    return convert({ ...resolveRef(root, $ref, path), ...rest }, root, path, [...refs, $ref]);
+  }
+  const unsupported = UNSUPPORTED.find(key => key in schema);
+  if (unsupported) {
+    throw new SchemaError(`"${unsupported}" is not supported`, path);
+  }
+  if (schema.allOf) {
+    const { allOf, ...rest } = schema;
+    return convert(mergeAllOf([...allOf.map(part => part.$ref ? resolveRef(root, part.$ref, path) : part), rest]), root, path, refs);
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (SUPPORTED_KEYS.has(key)) {
+      result[key] = value;
+    }
+  }
+  if (typeof schema.exclusiveMinimum === "number") {
+    result.minimum = schema.exclusiveMinimum;
+  }
+  if (typeof schema.exclusiveMaximum === "number") {
+    result.maximum = schema.exclusiveMaximum;
+  }
+  if (schema.examples?.length && result.example === undefined) {
+    result.example = schema.examples[0];
+  }
+
+  // const → 单值 enum
+  if ("const" in schema) {
+    result.enum = [schema.const];
+  }
+  if (result.enum) {
+    if (result.enum.includes(null)) {
+      result.nullable = true;
+      result.enum = result.enum.filter(value => value !== null);
+    }
+    if (!result.enum.every(value => typeof value === "string")) {
+      throw new SchemaError("only string enum values are supported", path);
+    }
+    result.type ??= "string";
+  }
+
+  // type: ["string", "null"] → type: "string", nullable: true；多个类型 → anyOf
+  if (Array.isArray(result.type)) {
+    const types = result.type.filter(type => type !== "null");
+    if (types.length < result.type.length) {
+      result.nullable = true;
+    }
+    if (types.length === 1) {
+      result.type = types[0];
+    } else {
+      delete result.type;
+      result.anyOf = types.map(type => ({ type }));
+    }
+  } else if (result.type === "null") {
+    throw new SchemaError('a schema that only allows null cannot be represented', path);
+  }
+
+  const variants = schema.anyOf ?? schema.oneOf;
+  if (variants) {
+    const nonNull = variants.filter(variant => variant?.type !== "null");
+    if (nonNull.length < variants.length) {
+      result.nullable = true;
+    }
+    if (nonNull.length === 1) {
+      const inner = convert(nonNull[0], root, `${path}/anyOf/0`, refs);
+      return {
+        ...inner,
+        ...(result.description && { description: result.description }),
+        ...(result.nullable && { nullable: true }),
+      };
+    }
+    result.anyOf = nonNull.map((variant, i) => convert(variant, root, `${path}/anyOf/${i}`, refs));
+  }
+
+  if (!result.type && !result.anyOf) {
+    if (schema.properties) {
+      result.type = "object";
+    } else if (schema.items) {
+      result.type = "array";
+    } else {
+      throw new SchemaError("schema has no type", path);
+    }
+  }
+  if (result.type && !TYPES.has(result.type)) {
+    throw new SchemaError(`unsupported type "${result.type}"`, path);
+  }
+
+  if (result.type === "object") {
+    if (!schema.properties || Object.keys(schema.properties).length === 0) {
+      throw new SchemaError(schema.additionalProperties
+        ? "objects with arbitrary keys (additionalProperties) cannot be represented; declare properties instead"
+        : "object schemas must declare at least one property", path);
+    }
+    result.properties = Object.fromEntries(Object.entries(schema.properties)
+      .map(([name, value]) => [name, convert(value, root, `${path}/properties/${name}`, refs)]));
+    // Gemini 默认按字母顺序输出属性，保持声明顺序与 OpenAI 一致
+    result.propertyOrdering ??= Object.keys(result.properties);
+  }
+  if (result.type === "array") {
+    if (Array.isArray(schema.items)) {
+      throw new SchemaError("tuple arrays (items as an array) are not supported", path);
+    }
+    if (!schema.items) {
+      throw new SchemaError("array schemas must declare items", path);
+    }
+    result.items = convert(schema.items, root, `${path}/items`, refs);
+  }
+  return result;
+}
+
+// 转换 OpenAI response_format.json_schema.schema；失败时抛出 SchemaError
+export function toGeminiSchema(schema) {
+  return convert(schema, schema, "#", ["#"]);
+}
@@ -0,0 +1,307 @@
+// Gemini API Key 池: 记录每个 Key 的失败情况，失败的 Key 进入冷却期，
+// 请求在冷却期内自动换用其他健康的 Key 重试。
+// 429 是按模型计算的配额，只冷却该 Key 的这个模型；无效 Key 和 403 冷却整个 Key。
+
+import { getConfig } from './config.js';
+import { checkKeyLimit } from './rate_limit.js';
+import { logger, maskKey } from './logger.js';
+import { recordUpstream, trackUsage } from './metrics.js';
+
+// 无效 Key 不会自行恢复，冷却时间更长
+const INVALID_KEY_COOLDOWN_SECONDS = 60 * 60;
+// 清理调用方自带 Key 的记录的间隔
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// key → { failures, lastStatus, cooldownUntil }，整个 Key 的冷却
+const keyStates = new Map();
+// key → Map(model → { failures, lastStatus, cooldownUntil })，某个模型的冷却（429）
+const modelStates = new Map();
+// key → 最近一次被选中的序号，用于 lru 策略
+const lastUsed = new Map();
+let useCounter = 0;
+let roundRobinIndex = 0;
+let lastSweep = Date.now();
+
+// Key 对 model 可用的时间点（整个 Key 和该模型的冷却取较晚者）；未指定 model 时只看整个 Key
+const availableAt = (key, model) => Math.max(
+  keyStates.get(key)?.cooldownUntil ?? 0,
+  (model !== undefined && modelStates.get(key)?.get(model)?.cooldownUntil) || 0,
+);
+
+export function isKeyAvailable(key, now = Date.now(), model) {
+  return availableAt(key, model) <= now;
+}
+
+export function markKeySuccess(key, model) {
+  keyStates.delete(key);
+  modelStates.get(key)?.delete(model);
+}
+
+// 指定 model 时只冷却该 Key 的这个模型
+export function markKeyFailure(key, status, cooldownMs, model) {
+  let states = keyStates;
+  if (model !== undefined) {
+    if (!modelStates.has(key)) {
+      modelStates.set(key, new Map());
+    }
+    states = modelStates.get(key);
+  }
+  const id = model ?? key;
+  const state = states.get(id) ?? { failures: 0 };
+  state.failures += 1;
+  state.lastStatus = status;
+  state.cooldownUntil = Date.now() + cooldownMs;
+  states.set(id, state);
+  logger.warn('❄️ Key cooling down', {
+    key: maskKey(key),
+    model,
+    status,
+    cooldown_seconds: Math.round(cooldownMs / 1000),
+    failures: state.failures,
+  });
+}
+
+const remaining = (until, now) => until > now ? Math.ceil((until - now) / 1000) : 0;
+
+// available 只反映整个 Key 的冷却；models 列出正在冷却的模型
+export function getKeyStates(keys) {
+  const now = Date.now();
+  return keys.map(key => {
+    const state = keyStates.get(key);
+    const models = {};
+    for (const [model, modelState] of modelStates.get(key) ?? []) {
+      if (modelState.cooldownUntil > now) {
+        models[model] = {
+          failures: modelState.failures,
+          last_status: modelState.lastStatus,
+          cooldown_remaining: remaining(modelState.cooldownUntil, now),
+        };
+      }
+    }
+    return {
+      key: maskKey(key),
+      available: isKeyAvailable(key, now),
+      failures: state?.failures ?? 0,
+      last_status: state?.lastStatus,
+      cooldown_remaining: remaining(state?.cooldownUntil ?? 0, now),
+      models,
+    };
+  });
+}
+
+// GEMINI_KEY_WEIGHTS: 与 GEMINI_API_KEY_LIST 顺序对应的数组，或 { key: weight } 对象，默认权重为 1
+const getKeyWeight = (key) => {
+  const config = getConfig();
+  let weights = config.GEMINI_KEY_WEIGHTS;
+  if (!weights) {
+    return 1;
+  }
+  if (Array.isArray(weights)) {
+    weights = { [key]: weights[config.GEMINI_API_KEY_LIST.indexOf(key)] };
+  }
+  const weight = Number(weights[key] ?? 1);
+  return weight >= 0 ? weight : 1;
+};
+
+// FNV-1a，用于 sticky 策略把同一调用方映射到固定的 Key
+export const hashString = (str) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// 选择策略: (healthy, { keys, client }) → key，healthy 为可用且未尝试过的 Key
+const strategies = {
+  random: (healthy) => healthy[Math.floor(Math.random() * healthy.length)],
+  round_robin: (healthy) => healthy[roundRobinIndex++ % healthy.length],
+  weighted: (healthy) => {
+    const weights = healthy.map(getKeyWeight);
+    let target = Math.random() * weights.reduce((a, b) => a + b, 0);
+    for (let i = 0; i < healthy.length; i++) {
+      target -= weights[i];
+      if (target < 0) {
+        return healthy[i];
+      }
+    }
+    return healthy[healthy.length - 1];
+  },
+  lru: (healthy) => healthy.reduce((a, b) =>
+    (lastUsed.get(a) ?? 0) <= (lastUsed.get(b) ?? 0) ? a : b),
+  // 按调用方 token 哈希到完整 Key 列表中的固定位置，该 Key 不可用时顺延到下一个
+  sticky: (healthy, { keys, client }) => {
+    if (!client) {
+      return strategies.random(healthy);
+    }
+    const start = hashString(client) % keys.length;
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[(start + i) % keys.length];
+      if (healthy.includes(key)) {
+        return key;
+      }
+    }
+  },
+};
+
+const getStrategy = () => strategies[getConfig().GEMINI_KEY_STRATEGY];
+
+// 按 GEMINI_KEY_STRATEGY 从对 model 健康的 Key 中选择；全部冷却时选择最早恢复的 Key
+export function pickKey(keys, exclude = new Set(), client, model) {
+  const candidates = keys.filter(key => !exclude.has(key));
+  if (candidates.length === 0) {
+    return undefined;
+  }
+  const now = Date.now();
+  if (now - lastSweep >= SWEEP_INTERVAL_MS) {
+    sweepKeyStates(now);
+  }
+  const healthy = candidates.filter(key => isKeyAvailable(key, now, model));
+  const key = healthy.length > 0
+    ? getStrategy()(healthy, { keys, client })
+    : candidates.reduce((a, b) => availableAt(a, model) <= availableAt(b, model) ? a : b);
+  lastUsed.set(key, ++useCounter);
+  return key;
+}
+
+// 调用方自带的 Key（ALLOW_CLIENT_KEYS）各不相同，记录只增不减，需要定期清理:
+// 删除不在 Key 池中的 Key 的选择记录和已结束的冷却，以及所有已结束的模型冷却。
+// Key 池中 Key 的连续失败次数保留，供 /stats 展示
+function sweepKeyStates(now) {
+  const poolKeys = new Set(getConfig().GEMINI_API_KEY_LIST);
+  for (const key of lastUsed.keys()) {
+    if (!poolKeys.has(key)) {
+      lastUsed.delete(key);
+    }
+  }
+  for (const [key, state] of keyStates) {
+    if (!poolKeys.has(key) && state.cooldownUntil <= now) {
+      keyStates.delete(key);
+    }
+  }
+  for (const [key, states] of modelStates) {
+    for (const [model, state] of states) {
+      if (state.cooldownUntil <= now) {
+        states.delete(model);
+      }
+    }
+    if (states.size === 0) {
+      modelStates.delete(key);
+    }
+  }
+  lastSweep = now;
+}
+
+// "30s" / "1.5s" → 毫秒
+const parseDuration = (value) => {
+  const match = /^(\d+(?:\.\d+)?)s$/.exec(value ?? "");
+  return match ? Math.ceil(parseFloat(match[1]) * 1000) : undefined;
+};
+
+const parseRetryAfter = (response, error) => {
+  const header = response.headers.get("Retry-After");
+  if (header) {
+    const seconds = Number(header);
+    if (!isNaN(seconds)) {
+      return seconds * 1000;
+    }
+    const date = Date.parse(header);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+  const retryInfo = error?.details?.find(d => d["@type"]?.endsWith("google.rpc.RetryInfo"));
+  return parseDuration(retryInfo?.retryDelay);
+};
+
+// 判断响应是否由 Key 本身导致失败（限额、权限、无效 Key），返回冷却时间；否则返回 undefined
+async function getKeyFailureCooldown(response) {
+  if (![400, 403, 429].includes(response.status)) {
+    return undefined;
+  }
+  let error;
+  try {
+    ({ error } = await response.clone().json());
+  } catch (err) {
+    // 非JSON错误体
+  }
+  const defaultCooldown = getConfig().GEMINI_KEY_COOLDOWN * 1000;
+  switch (response.status) {
+    case 429:
+      return parseRetryAfter(response, error) ?? defaultCooldown;
+    case 403:
+      return defaultCooldown;
+    case 400: {
+      const invalid = error?.details?.some(d => d.reason === "API_KEY_INVALID")
+        || /API key not valid/i.test(error?.message ?? "");
+      return invalid ? INVALID_KEY_COOLDOWN_SECONDS * 1000 : undefined;
+    }
+  }
+}
+
+// 所有可用 Key 都达到 RATE_LIMIT_KEY_* 限额时返回的 Google 格式 429
+const rateLimitedResponse = (waitMs) => new Response(JSON.stringify({
+  error: {
+    code: 429,
+    message: "All API keys have reached the proxy's configured rate limits. Please retry later.",
+    status: "RESOURCE_EXHAUSTED",
+  }
+}), {
+  status: 429,
+  headers: {
+    "Content-Type": "application/json",
+    "Retry-After": String(Math.ceil(waitMs / 1000)),
+  }
+});
+
+// 使用 doFetch(key) 发起请求；Key 失败时标记冷却并换用其他 Key 重试，
+// 最多重试 GEMINI_MAX_RETRIES 次，全部失败时返回最后一次的响应。
+// pool: { keys, client }，client 为调用方的 token，供 sticky 策略使用
+// tokens: 本次请求的估算 token 数，用于按 Key 的 TPM 限速；model: 用于 429 冷却和用量统计
+export async function fetchWithKeyRetry({ keys, client }, doFetch, { tokens, model } = {}) {
+  if (keys.length === 0) {
+    return doFetch(undefined);
+  }
+  const maxRetries = getConfig().GEMINI_MAX_RETRIES;
+  const tried = new Set();
+  let response, rateLimitWait;
+  for (let attempt = 0; attempt <= maxRetries;) {
+    const key = pickKey(keys, tried, client, model);
+    if (!key) {
+      break;
+    }
+    tried.add(key);
+    // 超出限额的 Key 直接跳过，不计入重试次数
+    const wait = await checkKeyLimit(key, tokens);
+    if (wait > 0) {
+      rateLimitWait = Math.min(rateLimitWait ?? wait, wait);
+      continue;
+    }
+    if (response) {
+      await response.body?.cancel();
+      logger.info(`🔁 Retrying with another key (attempt ${attempt + 1})`);
+    }
+    const start = Date.now();
+    response = await doFetch(key);
+    const latency = Date.now() - start;
+    logger.info('🌐 Upstream response', {
+      key: maskKey(key),
+      status: response.status,
+      latency_ms: latency,
+      attempt: attempt + 1,
+    });
+    const labels = { key, model, client };
+    recordUpstream(labels, response.status, latency);
+    const cooldown = await getKeyFailureCooldown(response);
+    if (cooldown === undefined) {
+      if (response.ok) {
+        markKeySuccess(key, model);
+      }
+      return trackUsage(response, labels);
+    }
+    markKeyFailure(key, response.status, cooldown, response.status === 429 ? model : undefined);
+    attempt++;
+  }
+  return response ?? rateLimitedResponse(rateLimitWait);
+}
@@ -0,0 +1,71 @@
+// 日志: 支持级别、JSON 输出和请求 ID，API Key 只以指纹形式输出。
+// LOG_LEVEL: debug | info | warn | error | silent，生产环境可设为 warn 关闭逐请求日志
+// LOG_FORMAT: text | json
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEFAULT_LEVEL = 'info';
+
+const requestContext = new AsyncLocalStorage();
+
+// API Key 指纹，例如 AIzaSyA......3kQ8xYz
+export const maskKey = (key) => `${key.slice(0, 7)}......${key.slice(-7)}`;
+
+// 请求中使用已校验的配置（可能来自平台的 env 对象），请求之外（启动阶段）读取 process.env
+const setting = (name) => requestContext.getStore()?.config?.[name] ?? process.env[name];
+
+const currentLevel = () => {
+  const name = (setting('LOG_LEVEL') || DEFAULT_LEVEL).toLowerCase();
+  return LEVELS[name] ?? LEVELS[DEFAULT_LEVEL];
+};
+
+// Error 对象在 JSON.stringify 中会变成 {}
+const serialize = (fields) => {
+  if (!fields) {
+    return undefined;
+  }
+  const result = {};
+  for (const [name, value] of Object.entries(fields)) {
+    result[name] = value instanceof Error
+      ? { name: value.name, message: value.message, stack: value.stack }
+      : value;
+  }
+  return result;
+};
+
+function write(level, message, fields) {
+  if (LEVELS[level] < currentLevel()) {
+    return;
+  }
+  const requestId = requestContext.getStore()?.requestId;
+  const out = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  fields = serialize(fields);
+  if (setting('LOG_FORMAT') === 'json') {
+    out(JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      ...(requestId && { request_id: requestId }),
+      message,
+      ...fields,
+    }));
+  } else {
+    const prefix = `[${level.toUpperCase()}]${requestId ? ` [${requestId}]` : ''}`;
+    out(`${prefix} ${message}`, ...(fields ? [fields] : []));
+  }
+}
+
+export const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+};
+
+// 在请求上下文中执行 fn，期间的日志都会带上 requestId；
+// context 中的其他字段（如调用方请求的 signal）可通过 getRequestContext() 读取
+export function runWithRequestId(requestId, fn, context = {}) {
+  return requestContext.run({ ...context, requestId }, fn);
+}
+
+export const getRequestContext = () => requestContext.getStore() ?? {};
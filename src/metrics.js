@@ -0,0 +1,199 @@
+// 用量统计: 按 (Key 指纹, 模型, 调用方) 记录上游请求数、错误状态码、token 用量和延迟分布。
+// 数据保存在当前实例的内存中，通过 /stats (JSON) 和 /metrics (Prometheus 文本格式) 查看。
+
+import { hashString } from './key_pool.js';
+import { maskKey } from './logger.js';
+
+// 延迟直方图的桶上限（毫秒）
+const LATENCY_BUCKETS = [100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000];
+
+// 最多保留的 (Key, 模型, 调用方) 组合数。调用方自带的 Key 和 token 各不相同，
+// 超出时丢弃最久未更新的组合，避免长期运行的实例内存无限增长
+export const MAX_SERIES = 10000;
+
+const startedAt = Date.now();
+// "key\u0000model\u0000client" → series，按最近更新排序（Map 按插入顺序遍历）
+const series = new Map();
+
+const newStats = () => ({
+  requests: 0,
+  errors: {},
+  prompt_tokens: 0,
+  completion_tokens: 0,
+  latency: { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 },
+});
+
+// 调用方 token（访问令牌或调用方自己的 Key）只以哈希值作为标签，不输出其中的任何字符
+const clientLabel = (client) => 'client-' + hashString(client).toString(16).padStart(8, '0');
+
+const getSeries = ({ key, model, client }) => {
+  const labels = {
+    key: key ? maskKey(key) : 'none',
+    model: model ?? 'unknown',
+    client: client ? clientLabel(client) : 'anonymous',
+  };
+  const id = [labels.key, labels.model, labels.client].join('\u0000');
+  const entry = series.get(id) ?? { labels, stats: newStats(), statuses: {} };
+  series.delete(id);
+  series.set(id, entry);
+  if (series.size > MAX_SERIES) {
+    series.delete(series.keys().next().value);
+  }
+  return entry;
+};
+
+// 记录一次上游请求；labels: { key, model, client }
+export function recordUpstream(labels, status, latencyMs) {
+  const { stats, statuses } = getSeries(labels);
+  stats.requests++;
+  statuses[status] = (statuses[status] ?? 0) + 1;
+  if (status >= 400) {
+    stats.errors[status] = (stats.errors[status] ?? 0) + 1;
+  }
+  const index = LATENCY_BUCKETS.findIndex(limit => latencyMs <= limit);
+  if (index !== -1) {
+    stats.latency.buckets[index]++;
+  }
+  stats.latency.sum += latencyMs;
+  stats.latency.count++;
+}
+
+// 记录 Gemini usageMetadata 中的 token 用量
+export function recordUsage(labels, usage) {
+  const { stats } = getSeries(labels);
+  stats.prompt_tokens += usage.promptTokenCount ?? 0;
+  stats.completion_tokens += (usage.candidatesTokenCount ?? 0) + (usage.thoughtsTokenCount ?? 0);
+}
+
+const usageRE = /"(promptTokenCount|candidatesTokenCount|thoughtsTokenCount)"\s*:\s*(\d+)/g;
+const TAIL_SIZE = 8192;
+
+// 透传响应体，同时从末尾的 usageMetadata 中提取 token 用量（JSON 和 SSE 均适用）
+export function trackUsage(response, labels) {
+  if (!response.ok || !response.body) {
+    return response;
+  }
+  const decoder = new TextDecoder();
+  let tail = '';
+  const body = response.body.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      tail = (tail + decoder.decode(chunk, { stream: true })).slice(-TAIL_SIZE);
+      controller.enqueue(chunk);
+    },
+    flush() {
+      // SSE 中每个事件的 usageMetadata 都是累计值，取最后一次出现的
+      const usage = {};
+      for (const [, name, value] of tail.matchAll(usageRE)) {
+        usage[name] = Number(value);
+      }
+      if (usage.promptTokenCount !== undefined) {
+        recordUsage(labels, usage);
+      }
+    },
+  }));
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+}
+
+const percentile = (latency, p) => {
+  if (latency.count === 0) {
+    return 0;
+  }
+  const target = latency.count * p;
+  let seen = 0;
+  for (let i = 0; i < LATENCY_BUCKETS.length; i++) {
+    seen += latency.buckets[i];
+    if (seen >= target) {
+      return LATENCY_BUCKETS[i];
+    }
+  }
+  return Infinity;
+};
+
+const merge = (into, { stats }) => {
+  into.requests += stats.requests;
+  into.prompt_tokens += stats.prompt_tokens;
+  into.completion_tokens += stats.completion_tokens;
+  for (const [status, count] of Object.entries(stats.errors)) {
+    into.errors[status] = (into.errors[status] ?? 0) + count;
+  }
+  stats.latency.buckets.forEach((count, i) => { into.latency.buckets[i] += count; });
+  into.latency.sum += stats.latency.sum;
+  into.latency.count += stats.latency.count;
+};
+
+const groupBy = (dimension) => {
+  const groups = {};
+  for (const entry of series.values()) {
+    const name = entry.labels[dimension];
+    merge(groups[name] ??= newStats(), entry);
+  }
+  for (const stats of Object.values(groups)) {
+    const { latency } = stats;
+    stats.latency_ms = {
+      avg: latency.count ? Math.round(latency.sum / latency.count) : 0,
+      p50: percentile(latency, 0.5),
+      p95: percentile(latency, 0.95),
+    };
+    delete stats.latency;
+  }
+  return groups;
+};
+
+// /stats 的 JSON 内容；keyStates 为 key_pool 的 getKeyStates() 结果
+export function getStats(keyStates = []) {
+  const keys = groupBy('key');
+  for (const state of keyStates) {
+    keys[state.key] = { ...(keys[state.key] ?? {}), health: state };
+  }
+  return {
+    since: new Date(startedAt).toISOString(),
+    uptime_seconds: Math.round((Date.now() - startedAt) / 1000),
+    keys,
+    models: groupBy('model'),
+    clients: groupBy('client'),
+  };
+}
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+const formatLabels = (labels) =>
+  '{' + Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',') + '}';
+
+// /metrics 的 Prometheus 文本格式
+export function getPrometheusMetrics() {
+  const lines = [
+    '# HELP gemini_proxy_requests_total Upstream Gemini requests by response status.',
+    '# TYPE gemini_proxy_requests_total counter',
+  ];
+  for (const { labels, statuses } of series.values()) {
+    for (const [status, count] of Object.entries(statuses)) {
+      lines.push(`gemini_proxy_requests_total${formatLabels({ ...labels, status })} ${count}`);
+    }
+  }
+  lines.push(
+    '# HELP gemini_proxy_tokens_total Tokens reported by Gemini usageMetadata.',
+    '# TYPE gemini_proxy_tokens_total counter',
+  );
+  for (const { labels, stats } of series.values()) {
+    lines.push(`gemini_proxy_tokens_total${formatLabels({ ...labels, type: 'prompt' })} ${stats.prompt_tokens}`);
+    lines.push(`gemini_proxy_tokens_total${formatLabels({ ...labels, type: 'completion' })} ${stats.completion_tokens}`);
+  }
+  lines.push(
+    '# HELP gemini_proxy_upstream_latency_seconds Time until Gemini response headers were received.',
+    '# TYPE gemini_proxy_upstream_latency_seconds histogram',
+  );
+  for (const { labels, stats: { latency } } of series.values()) {
+    let cumulative = 0;
+    LATENCY_BUCKETS.forEach((limit, i) => {
+      cumulative += latency.buckets[i];
+      lines.push(`gemini_proxy_upstream_latency_seconds_bucket${formatLabels({ ...labels, le: limit / 1000 })} ${cumulative}`);
+    });
+    lines.push(`gemini_proxy_upstream_latency_seconds_bucket${formatLabels({ ...labels, le: '+Inf' })} ${latency.count}`);
+    lines.push(`gemini_proxy_upstream_latency_seconds_sum${formatLabels(labels)} ${latency.sum / 1000}`);
+    lines.push(`gemini_proxy_upstream_latency_seconds_count${formatLabels(labels)} ${latency.count}`);
+  }
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,87 @@
+// 模型别名: 将 OpenAI 等客户端发送的模型名映射为 Gemini 模型。
+// MODEL_ALIASES (JSON) 中的配置优先于内置默认值，例如:
+// {
+//   "gpt-4o": "gemini-2.5-flash",
+//   "gpt-4o-mini": { "model": "gemini-2.5-flash-lite", "defaults": { "temperature": 0.2 } },
+//   "claude-*": "gemini-2.5-pro"
+// }
+// 名称中的 * 匹配任意字符；defaults 为请求参数（OpenAI、Anthropic 与 Responses 路由共用 temperature、top_p 等同名参数），仅在请求未指定时生效。
+
+import { getConfig } from './config.js';
+
+export const DEFAULT_MODEL = "gemini-2.0-flash";
+export const DEFAULT_EMBEDDINGS_MODEL = "gemini-embedding-001";
+
+const DEFAULT_ALIASES = {
+  "gpt-3.5-turbo*": "gemini-2.0-flash",
+  "gpt-4o-mini*": "gemini-2.5-flash-lite",
+  "gpt-4o*": "gemini-2.5-flash",
+  "gpt-4.1-nano*": "gemini-2.5-flash-lite",
+  "gpt-4.1-mini*": "gemini-2.5-flash",
+  "gpt-4.1*": "gemini-2.5-pro",
+  "gpt-4-turbo*": "gemini-2.5-pro",
+  "gpt-4": "gemini-2.5-pro",
+  "gpt-5-nano*": "gemini-2.5-flash-lite",
+  "gpt-5-mini*": "gemini-2.5-flash",
+  "gpt-5*": "gemini-2.5-pro",
+  "o1*": "gemini-2.5-pro",
+  "o3-mini*": "gemini-2.5-flash",
+  "o3*": "gemini-2.5-pro",
+  "o4-mini*": "gemini-2.5-flash",
+  "claude-*opus*": "gemini-2.5-pro",
+  "claude-*sonnet*": "gemini-2.5-pro",
+  "claude-*haiku*": "gemini-2.5-flash",
+  "text-embedding-3-small": DEFAULT_EMBEDDINGS_MODEL,
+  "text-embedding-3-large": DEFAULT_EMBEDDINGS_MODEL,
+  "text-embedding-ada-002": DEFAULT_EMBEDDINGS_MODEL,
+};
+
+// 以这些前缀开头的名称本身就是 Gemini 模型
+const GEMINI_PREFIXES = ["gemini-", "gemma-", "learnlm-", "text-embedding-", "embedding-"];
+
+const normalize = (entry) => typeof entry === "string" ? { model: entry } : entry;
+
+const escapeRE = (str) => str.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+
+// 精确匹配优先，其次按通配规则的长度从长到短匹配
+const findAlias = (aliases, name) => {
+  if (aliases[name]) {
+    return normalize(aliases[name]);
+  }
+  const pattern = Object.keys(aliases)
+    .filter(key => key.includes("*"))
+    .sort((a, b) => b.length - a.length)
+    .find(key => new RegExp("^" + key.split("*").map(escapeRE).join(".*") + "$").test(name));
+  return pattern ? normalize(aliases[pattern]) : undefined;
+};
+
+// 返回 { model, defaults }；kind 为 "chat" 或 "embeddings"，决定无法识别时的默认模型
+export function resolveModel(name, kind = "chat") {
+  const fallback = kind === "embeddings" ? DEFAULT_EMBEDDINGS_MODEL : DEFAULT_MODEL;
+  if (typeof name !== "string" || !name) {
+    return { model: fallback, defaults: {} };
+  }
+  // models/ 前缀表示调用方明确指定了 Gemini 模型
+  const explicit = name.startsWith("models/");
+  name = name.replace(/^models\//, "");
+  const isGemini = explicit || GEMINI_PREFIXES.some(prefix => name.startsWith(prefix));
+  const alias = findAlias(getConfig().MODEL_ALIASES, name) ?? (explicit ? undefined : findAlias(DEFAULT_ALIASES, name));
+  if (alias?.model) {
+    return { model: alias.model.replace(/^models\//, ""), defaults: alias.defaults ?? {} };
+  }
+  return { model: isGemini ? name : fallback, defaults: {} };
+}
+
+// 可在 /v1/models 中列出的别名: 精确名称，以及仅以 * 结尾的通配名（去掉 *，如 gpt-4o* → gpt-4o）
+export function listAliases() {
+  const aliases = { ...DEFAULT_ALIASES, ...getConfig().MODEL_ALIASES };
+  const result = new Map();
+  for (const [pattern, entry] of Object.entries(aliases)) {
+    const id = pattern.replace(/\*$/, "");
+    if (!id || id.includes("*") || /[-_.]$/.test(id) || !normalize(entry)?.model) {
+      continue;
+    }
+    result.set(id, normalize(entry).model.replace(/^models\//, ""));
+  }
+  return [...result].map(([id, model]) => ({ id, model }));
+}
@@ -0,0 +1,40 @@
+// 模型降级: 某个模型在所有 Key 重试后仍返回 429 / 503（额度耗尽或模型过载）时，按 MODEL_FALLBACKS 依次换用后备模型。
+// MODEL_FALLBACKS (JSON) 示例:
+// {
+//   "gemini-2.5-pro": ["gemini-2.5-flash", "gemini-2.5-flash-lite"],
+//   "gemini-2.5-flash": "gemini-2.5-flash-lite"
+// }
+// 实际使用的模型通过响应头 x-proxy-model 返回。
+
+import { getConfig } from './config.js';
+import { fetchWithKeyRetry } from './key_pool.js';
+import { logger } from './logger.js';
+
+const FALLBACK_STATUSES = [429, 503];
+
+export const MODEL_HEADER = 'x-proxy-model';
+
+// 返回 [model, ...后备模型]，去掉重复项
+export function getModelChain(model) {
+  const fallbacks = getConfig().MODEL_FALLBACKS[model] ?? [];
+  const chain = [model, ...(Array.isArray(fallbacks) ? fallbacks : [fallbacks])]
+    .map(name => String(name).replace(/^models\//, ''));
+  return [...new Set(chain)];
+}
+
+// 依次用降级链中的模型发送请求；doFetch(apiKey, model) 发起一次上游请求。
+// 返回 { response, model }，model 为最终响应对应的模型
+export async function fetchWithModelFallback(pool, model, doFetch, { tokens } = {}) {
+  const chain = getModelChain(model);
+  let response;
+  for (const [index, current] of chain.entries()) {
+    if (response) {
+      await response.body?.cancel();
+      logger.warn(`🪂 Falling back to model ${current}`, { from: chain[index - 1], status: response.status });
+    }
+    response = await fetchWithKeyRetry(pool, (apiKey) => doFetch(apiKey, current), { tokens, model: current });
+    if (!FALLBACK_STATUSES.includes(response.status) || index === chain.length - 1) {
+      return { response, model: current };
+    }
+  }
+}
@@ -4,16 +4,30 @@
 
 
 import { Buffer } from "node:buffer";
+import { fetchWithKeyRetry } from "./key_pool.js";
+import { MODEL_HEADER, fetchWithModelFallback } from "./model_fallback.js";
+import { estimateTokens } from "./rate_limit.js";
+import { logger } from "./logger.js";
+import { endStreamOnError, fetchUpstream } from "./upstream.js";
+import { fetchWithContextCache } from "./context_cache.js";
+import { listAliases, resolveModel } from "./model_alias.js";
+import { SchemaError, toGeminiSchema } from "./json_schema.js";
+import { handleResponses } from "./responses.mjs";
+import { authenticate, getClientToken } from "./auth.js";
+import { isResponseCacheEnabled, withResponseCache } from "./response_cache.js";
+import { getConfig } from "./config.js";
 
 export default {
-  async fetch(request) {
+  // config: loadConfig() 返回的配置，由 handleRequest 传入
+  async fetch(request, config = getConfig()) {
     if (request.method === "OPTIONS") {
       return handleOPTIONS();
     }
     const errHandler = (err) => {
       // 增强错误日志，便于调试
-      console.error('🚨 Error occurred:', {
-        message: err.message,
+      const log = (err.status ?? 500) >= 500 ? logger.error : logger.warn;
+      log('🚨 Error occurred', {
+        error: err.message,
         status: err.status ?? 500,
         stack: err.stack,
         name: err.name
@@ -21,13 +35,13 @@ export default {
 
       // 特别处理toLowerCase相关错误
       if (err.message && err.message.includes('toLowerCase')) {
-        console.error('🔍 toLowerCase error detected - this may be a client-side issue in Cursor');
+        logger.error('🔍 toLowerCase error detected - this may be a client-side issue in Cursor');
       }
 
       return new Response(JSON.stringify({
         error: {
           message: err.message,
-          type: err.name || 'error',
+          type: errorTypes[err.status] ?? (err.name || 'error'),
           code: err.status ?? 500
         }
       }), fixCors({
@@ -36,61 +50,66 @@ export default {
       }));
     };
     try {
-      // 针对Cursor使用场景: 验证Authorization头存在但始终使用环境变量中的Gemini API Key
-      const auth = request.headers.get("Authorization");
-      const providedApiKey = auth?.split(" ")[1];
+      // 针对Cursor使用场景: Authorization头必须存在，用于访问控制或携带调用方自己的Gemini API Key
+      const providedApiKey = getClientToken(request);
 
       // 验证请求包含Authorization头（用于兼容OpenAI客户端）
       if (!providedApiKey) {
         throw new HttpError("Authorization header is required. Please set your OpenAI API key in Cursor settings.", 401);
       }
 
-      // 始终使用环境变量中的Gemini API Key数组，实现负载均衡
-      let apiKeys;
-      try {
-        apiKeys = JSON.parse(process.env.GEMINI_API_KEY_LIST || '[]');
-      } catch (parseError) {
-        console.error('❌ Failed to parse GEMINI_API_KEY_LIST:', parseError.message);
-        throw new HttpError("Invalid GEMINI_API_KEY_LIST format. Please ensure it's a valid JSON array.", 500);
+      // 默认使用配置中的Gemini API Key池，实现负载均衡
+      const pool = authenticate(request, config);
+      if (!pool) {
+        throw new HttpError("Incorrect API key provided. Please use one of the proxy access tokens.", 401);
       }
 
-      if (!Array.isArray(apiKeys) || apiKeys.length === 0) {
+      if (!Array.isArray(pool.keys) || pool.keys.length === 0) {
         throw new HttpError("No Gemini API keys configured. Please set GEMINI_API_KEY_LIST in Vercel environment variables.", 500);
       }
 
-      const apiKey = apiKeys[Math.floor(Math.random() * apiKeys.length)];
-      // 生产环境优化：仅记录关键信息
-      console.log(`🔑 Selected Gemini API Key (${apiKeys.length} keys available)`);
-
       const assert = (success) => {
         if (!success) {
           throw new HttpError("The specified HTTP method is not allowed for the requested resource", 400);
         }
       };
       const { pathname } = new URL(request.url);
-      console.log(`📡 ${request.method} ${pathname} - API Key Pool: ${apiKeys.length} keys`);
+      logger.info(`📡 ${request.method} ${pathname}`, { pool_size: pool.keys.length, client_keys: pool.fromClient });
 
       switch (true) {
         case pathname.endsWith("/chat/completions"):
           assert(request.method === "POST");
-          let requestBody;
-          try {
-            requestBody = await request.json();
-            console.log('📝 Request body parsed successfully');
-          } catch (parseError) {
-            console.error('❌ Failed to parse request JSON:', parseError.message);
-            throw new HttpError("Invalid JSON in request body", 400);
-          }
-          return handleCompletions(requestBody, apiKey)
+          const requestBody = await readJsonBody(request);
+          logger.debug('📝 Request body parsed successfully');
+          return cacheGeneration(request, pool, "chat", requestBody, () => handleCompletions(requestBody, pool))
+            .catch(errHandler);
+        case pathname.endsWith("/completions"):
+          assert(request.method === "POST");
+          return readJsonBody(request)
+            .then(body => cacheGeneration(request, pool, "completions", body, () => handleTextCompletions(body, pool)))
+            .catch(errHandler);
+        case pathname.endsWith("/responses"):
+          assert(request.method === "POST");
+          return readJsonBody(request)
+            .then(body => handleResponses(body, pool))
             .catch(errHandler);
         case pathname.endsWith("/embeddings"):
           assert(request.method === "POST");
-          return handleEmbeddings(await request.json(), apiKey)
+          return readJsonBody(request)
+            .then(body => withResponseCache(request,
+              { pool, scope: "openai:embeddings", model: resolveModel(body.model, "embeddings").model, body },
+              () => handleEmbeddings(body, pool)))
             .catch(errHandler);
         case pathname.endsWith("/models"):
           assert(request.method === "GET");
-          return handleModels(apiKey)
+          return withResponseCache(request, { pool, scope: "openai:models" }, () => handleModels(pool))
+            .catch(errHandler);
+        case MODEL_DETAIL_RE.test(pathname): {
+          assert(request.method === "GET");
+          const id = decodeURIComponent(pathname.match(MODEL_DETAIL_RE)[1]);
+          return withResponseCache(request, { pool, scope: "openai:model", model: id }, () => handleModel(id, pool))
             .catch(errHandler);
+        }
         default:
           throw new HttpError("404 Not Found", 404);
       }
@@ -100,7 +119,20 @@ export default {
   }
 };
 
-class HttpError extends Error {
+// 只缓存结果确定的生成请求: 非流式且 temperature 为 0（包括别名默认参数中的 temperature）
+const cacheGeneration = (request, pool, scope, body, produce) => {
+  const resolved = resolveModel(body?.model);
+  const req = { ...resolved.defaults, ...body };
+  if (!isResponseCacheEnabled() || req.stream || req.temperature !== 0) {
+    return produce();
+  }
+  return withResponseCache(request, { pool, scope: `openai:${scope}`, model: resolved.model, body }, produce);
+};
+
+// /v1/models/{id}；/v1beta/models/... 仍按原生 Gemini 接口透传
+export const MODEL_DETAIL_RE = /^(?:\/v1)?\/models\/([^/:]+)$/;
+
+export class HttpError extends Error {
   constructor(message, status) {
     super(message);
     this.name = this.constructor.name;
@@ -108,6 +140,21 @@ class HttpError extends Error {
   }
 }
 
+// 读取 JSON 请求体；无效 JSON 或不是对象（null、数组等）时返回 400，避免处理函数访问字段时抛出 TypeError
+export const readJsonBody = async (request) => {
+  let body;
+  try {
+    body = await request.json();
+  } catch (err) {
+    logger.warn('❌ Failed to parse request JSON', { error: err.message });
+    throw new HttpError("Invalid JSON in request body", 400);
+  }
+  if (typeof body !== "object" || body === null || Array.isArray(body)) {
+    throw new HttpError("Request body must be a JSON object", 400);
+  }
+  return body;
+};
+
 const fixCors = ({ headers, status, statusText }) => {
   headers = new Headers(headers);
   headers.set("Access-Control-Allow-Origin", "*");
@@ -124,87 +171,253 @@ const handleOPTIONS = async () => {
   });
 };
 
-const BASE_URL = "https://generativelanguage.googleapis.com";
-const API_VERSION = "v1beta";
+// Gemini错误响应 → OpenAI错误体 { error: { message, type, code } }
+export const errorTypes = {
+  400: "invalid_request_error",
+  401: "authentication_error",
+  403: "permission_error",
+  404: "not_found_error",
+  413: "invalid_request_error",
+  429: "rate_limit_error",
+  504: "timeout_error",
+};
+// 流式响应开始后上游出错时的最后一条事件，内容与错误响应体相同
+const streamErrorEvent = (err) => "data: " + JSON.stringify({
+  error: { message: err.message, type: errorTypes[err.status] ?? "api_error", code: err.status ?? 500 },
+}) + "\n\n";
+
+export const errorResponse = (response, text) => {
+  let message = text, code = response.status;
+  try {
+    const { error } = JSON.parse(text);
+    message = error.message ?? text;
+    code = error.status ?? code;
+  } catch (err) {
+    // 非JSON错误体，原样作为message
+  }
+  return new Response(JSON.stringify({
+    error: {
+      message,
+      type: errorTypes[response.status] ?? "api_error",
+      code,
+    }
+  }), fixCors({
+    status: response.status,
+    statusText: response.statusText,
+    headers: {
+      "Content-Type": "application/json",
+      ...(response.headers.has("Retry-After") && { "Retry-After": response.headers.get("Retry-After") }),
+    }
+  }));
+};
+
+export const BASE_URL = "https://generativelanguage.googleapis.com";
+export const API_VERSION = "v1beta";
 
 // 修复问题5: 更新API客户端版本信息
 // https://github.com/google-gemini/generative-ai-js/blob/cf223ff4a1ee5a2d944c53cddb8976136382bee6/src/requests/request.ts#L71
 const API_CLIENT = "genai-js/0.21.0"; // npm view @google/generative-ai version
-const makeHeaders = (apiKey, more) => ({
+export const makeHeaders = (apiKey, more) => ({
   "x-goog-api-client": API_CLIENT,
   ...(apiKey && { "x-goog-api-key": apiKey }),
   ...more
 });
 
-async function handleModels(apiKey) {
-  const response = await fetch(`${BASE_URL}/${API_VERSION}/models`, {
-    headers: makeHeaders(apiKey),
-  });
-  let { body } = response;
-  if (response.ok) {
-    const { models } = JSON.parse(await response.text());
-    body = JSON.stringify({
-      object: "list",
-      data: models.map(({ name }) => ({
-        id: name.replace("models/", ""),
-        object: "model",
-        created: 0,
-        owned_by: "",
-      })),
-    }, null, "  ");
-  }
-  return new Response(body, fixCors(response));
+// Gemini 模型目录缓存在实例内存中，MODELS_CACHE_TTL 秒后重新拉取
+const modelsCache = { models: undefined, expiresAt: 0 };
+
+// 只保留支持 generateContent / embedContent 的模型
+const isUsableModel = ({ supportedGenerationMethods = [] }) =>
+  supportedGenerationMethods.some(method => ["generateContent", "embedContent"].includes(method));
+
+async function fetchModelCatalogue(pool) {
+  if (modelsCache.models && modelsCache.expiresAt > Date.now()) {
+    return { models: modelsCache.models };
+  }
+  const models = [];
+  let pageToken;
+  do {
+    const url = `${BASE_URL}/${API_VERSION}/models?pageSize=1000${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ""}`;
+    const response = await fetchWithKeyRetry(pool, (apiKey) => fetchUpstream(url, {
+      headers: makeHeaders(apiKey),
+    }));
+    if (!response.ok) {
+      return { error: response };
+    }
+    const page = JSON.parse(await response.text());
+    models.push(...(page.models ?? []).filter(isUsableModel));
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+  modelsCache.models = models;
+  modelsCache.expiresAt = Date.now() + getConfig().MODELS_CACHE_TTL * 1000;
+  logger.debug('📚 Model catalogue refreshed', { count: models.length });
+  return { models };
 }
 
-const DEFAULT_EMBEDDINGS_MODEL = "text-embedding-004";
-async function handleEmbeddings(req, apiKey) {
+// Gemini 模型目录 + 已配置的别名，别名与模型重名时以模型为准
+async function listModels(pool) {
+  const { models, error } = await fetchModelCatalogue(pool);
+  if (error) {
+    return { error };
+  }
+  const data = models.map(({ name }) => ({
+    id: name.replace("models/", ""),
+    object: "model",
+    created: 0,
+    owned_by: "google",
+  }));
+  const ids = new Set(data.map(({ id }) => id));
+  for (const { id, model } of listAliases()) {
+    if (!ids.has(id)) {
+      data.push({ id, object: "model", created: 0, owned_by: "google", root: model });
+    }
+  }
+  return { data };
+}
+
+async function handleModels(pool) {
+  const { data, error } = await listModels(pool);
+  if (error) {
+    return errorResponse(error, await error.text());
+  }
+  return new Response(JSON.stringify({ object: "list", data }, null, "  "),
+    fixCors({ headers: { "Content-Type": "application/json" }, status: 200 }));
+}
+
+async function handleModel(id, pool) {
+  const { data, error } = await listModels(pool);
+  if (error) {
+    return errorResponse(error, await error.text());
+  }
+  id = id.replace(/^models\//, "");
+  const model = data.find(model => model.id === id);
+  if (!model) {
+    return new Response(JSON.stringify({
+      error: {
+        message: `The model '${id}' does not exist`,
+        type: "invalid_request_error",
+        param: "model",
+        code: "model_not_found",
+      },
+    }), fixCors({ headers: { "Content-Type": "application/json" }, status: 404 }));
+  }
+  return new Response(JSON.stringify(model, null, "  "),
+    fixCors({ headers: { "Content-Type": "application/json" }, status: 200 }));
+}
+
+// Gemini batchEmbedContents 单次最多 100 条（EMBEDDINGS_BATCH_SIZE 上限），更大的 input 拆分成多批并发发送（每批各自选 Key）
+
+const normalizeEmbeddingsInput = (input) => {
+  const inputs = Array.isArray(input) ? input : [input];
+  if (inputs.length === 0) {
+    throw new HttpError("input must not be empty", 400);
+  }
+  for (const item of inputs) {
+    if (typeof item === "number" || Array.isArray(item)) {
+      throw new HttpError("Token array input is not supported by Gemini embeddings; send input as a string or an array of strings", 400);
+    }
+    if (typeof item !== "string") {
+      throw new HttpError("input must be a string or an array of strings", 400);
+    }
+    if (!item) {
+      throw new HttpError("input must not contain empty strings", 400);
+    }
+  }
+  return inputs;
+};
+
+// OpenAI 的 base64 格式为 float32 小端字节序
+const encodeBase64 = (values) => Buffer.from(new Float32Array(values).buffer).toString("base64");
+
+async function handleEmbeddings(req, pool) {
   if (typeof req.model !== "string") {
     throw new HttpError("model is not specified", 400);
   }
-  let model;
-  if (req.model.startsWith("models/")) {
-    model = req.model;
-  } else {
-    if (!req.model.startsWith("gemini-")) {
-      req.model = DEFAULT_EMBEDDINGS_MODEL;
-    }
-    model = "models/" + req.model;
+  const resolved = resolveModel(req.model, "embeddings");
+  req = { ...resolved.defaults, ...req, model: resolved.model };
+  const model = "models/" + req.model;
+  const inputs = normalizeEmbeddingsInput(req.input);
+  const encodingFormat = req.encoding_format ?? "float";
+  if (!["float", "base64"].includes(encodingFormat)) {
+    throw new HttpError(`Unsupported encoding_format: ${encodingFormat}`, 400);
   }
-  if (!Array.isArray(req.input)) {
-    req.input = [req.input];
+  if (req.dimensions !== undefined && !(Number.isInteger(req.dimensions) && req.dimensions > 0)) {
+    throw new HttpError("dimensions must be a positive integer", 400);
   }
-  const response = await fetch(`${BASE_URL}/${API_VERSION}/${model}:batchEmbedContents`, {
-    method: "POST",
-    headers: makeHeaders(apiKey, { "Content-Type": "application/json" }),
-    body: JSON.stringify({
-      "requests": req.input.map(text => ({
+
+  const batchSize = getConfig().EMBEDDINGS_BATCH_SIZE;
+  const batches = [];
+  for (let i = 0; i < inputs.length; i += batchSize) {
+    batches.push(inputs.slice(i, i + batchSize));
+  }
+  logger.debug('🧮 Embeddings request', { model: req.model, inputs: inputs.length, batches: batches.length });
+
+  const embedBatch = async (batch) => {
+    const body = JSON.stringify({
+      "requests": batch.map(text => ({
         model,
         content: { parts: { text } },
         outputDimensionality: req.dimensions,
       }))
-    })
-  });
-  let { body } = response;
-  if (response.ok) {
-    const { embeddings } = JSON.parse(await response.text());
-    body = JSON.stringify({
-      object: "list",
-      data: embeddings.map(({ values }, index) => ({
-        object: "embedding",
-        index,
-        embedding: values,
-      })),
-      model: req.model,
-    }, null, "  ");
-  }
-  return new Response(body, fixCors(response));
+    });
+    const response = await fetchWithKeyRetry(pool, (apiKey) => fetchUpstream(`${BASE_URL}/${API_VERSION}/${model}:batchEmbedContents`, {
+      method: "POST",
+      headers: makeHeaders(apiKey, { "Content-Type": "application/json" }),
+      body,
+    }), { tokens: estimateTokens(body.length), model: req.model });
+    if (!response.ok) {
+      return { error: response };
+    }
+    // 其他批次已经失败时结果不再使用，直接取消响应体
+    if (errors.length) {
+      await response.body?.cancel();
+      return {};
+    }
+    return { embeddings: JSON.parse(await response.text()).embeddings };
+  };
+
+  // 有限并发地发送各批次，任一批次失败后不再发送新的批次；返回第一个失败批次的错误，其余失败响应的响应体被取消
+  const results = new Array(batches.length);
+  const errors = [];
+  let next = 0;
+  const concurrency = getConfig().EMBEDDINGS_CONCURRENCY;
+  await Promise.all(Array.from({ length: Math.min(concurrency, batches.length) }, async () => {
+    while (next < batches.length && !errors.length) {
+      const index = next++;
+      const result = await embedBatch(batches[index]);
+      if (result.error) {
+        errors.push(result.error);
+      }
+      results[index] = result.embeddings;
+    }
+  }));
+  if (errors.length) {
+    const [failed, ...discarded] = errors;
+    await Promise.all(discarded.map(response => response.body?.cancel()));
+    return errorResponse(failed, await failed.text());
+  }
+
+  // Gemini 的 embedding 接口不返回 token 用量，这里按输入长度估算
+  const promptTokens = inputs.reduce((sum, text) => sum + estimateTokens(Buffer.byteLength(text)), 0);
+  const result = JSON.stringify({
+    object: "list",
+    data: results.flat().map(({ values }, index) => ({
+      object: "embedding",
+      index,
+      embedding: encodingFormat === "base64" ? encodeBase64(values) : values,
+    })),
+    model: req.model,
+    usage: {
+      prompt_tokens: promptTokens,
+      total_tokens: promptTokens,
+    },
+  }, null, "  ");
+  return new Response(result, fixCors({ headers: { "Content-Type": "application/json" }, status: 200 }));
 }
 
-// 修复问题4: 更新默认模型版本与参考实现一致
-const DEFAULT_MODEL = "gemini-2.0-flash";
-async function handleCompletions(req, apiKey) {
+async function handleCompletions(req, pool) {
   // 添加请求参数调试日志
-  console.log('🎯 handleCompletions called with:', {
+  logger.info('🎯 handleCompletions called', {
     model: req.model,
     messagesCount: req.messages?.length,
     stream: req.stream,
@@ -213,8 +426,8 @@ async function handleCompletions(req, apiKey) {
 
   // 检查工具数量限制
   if (req.tools && req.tools.length > 50) {
-    console.warn(`⚠️  Warning: ${req.tools.length} tools provided, this may exceed Gemini API limits`);
-    console.log('🔧 Tool names:', req.tools.map(t => t.function?.name).slice(0, 10), '...');
+    logger.warn(`⚠️  Warning: ${req.tools.length} tools provided, this may exceed Gemini API limits`);
+    logger.debug('🔧 Tool names', { tools: req.tools.map(t => t.function?.name).slice(0, 10) });
   }
 
   // 验证必需的请求参数
@@ -226,26 +439,17 @@ async function handleCompletions(req, apiKey) {
     throw new HttpError("Messages array cannot be empty", 400);
   }
 
-  let model = DEFAULT_MODEL;
-  switch (true) {
-    case typeof req.model !== "string":
-      break;
-    case req.model.startsWith("models/"):
-      model = req.model.substring(7);
-      break;
-    case req.model.startsWith("gemini-"):
-    case req.model.startsWith("gemma-"):
-    case req.model.startsWith("learnlm-"):
-      model = req.model;
-      break;
-  }
+  // 解析模型别名，别名配置的默认参数仅在请求未指定时生效
+  const resolved = resolveModel(req.model);
+  let model = resolved.model;
+  req = { ...resolved.defaults, ...req };
 
   // 记录最终使用的模型
-  console.log(`🤖 Using model: ${model} (requested: ${req.model || 'default'})`);
+  logger.info(`🤖 Using model: ${model}`, { requested: req.model || 'default' });
 
   // 检查模型是否可能不支持当前功能
   if (model.includes("2.5") && req.tools && req.tools.length > 0) {
-    console.warn("⚠️  Note: gemini-2.5 models may have different tool calling requirements");
+    logger.debug("⚠️  Note: gemini-2.5 models may have different tool calling requirements");
   }
   let body = await transformRequest(req);
   const extra = req.extra_body?.google
@@ -275,41 +479,29 @@ async function handleCompletions(req, apiKey) {
       body.tools.push({ googleSearch: {} });
       break;
   }
-  // 仅在开发环境记录工具配置
-  if (process.env.NODE_ENV === 'development') {
-    console.log('🔧 Tools configuration:', body.tools);
-  }
-  const TASK = req.stream ? "streamGenerateContent" : "generateContent";
-  let url = `${BASE_URL}/${API_VERSION}/models/${model}:${TASK}`;
-  if (req.stream) { url += "?alt=sse"; }
-  const response = await fetch(url, {
+  logger.debug('🔧 Tools configuration', { tools: body.tools });
+  const TASK = req.stream ? "streamGenerateContent?alt=sse" : "generateContent";
+  const payload = JSON.stringify(body);
+  let response;
+  // 模型过载或额度耗尽时按 MODEL_FALLBACKS 降级，之后的 model 为实际使用的模型
+  // 开启 CONTEXT_CACHE_MIN_TOKENS 时，较长的重复前缀（系统指令、工具声明和之前各轮的消息）通过 Gemini 上下文缓存引用
+  ({ response, model } = await fetchWithModelFallback(pool, model, (apiKey, model) => fetchWithContextCache(apiKey, model, body, (body) => fetchUpstream(`${BASE_URL}/${API_VERSION}/models/${model}:${TASK}`, {
     method: "POST",
     headers: makeHeaders(apiKey, { "Content-Type": "application/json" }),
     body: JSON.stringify(body),
-  });
-
-  // 添加响应状态监控
-  console.log(`🌐 Gemini API Response: ${response.status} ${response.statusText}`);
+  })), { tokens: estimateTokens(payload.length) }));
 
   // 如果响应不成功，记录错误详情
   if (!response.ok) {
     const errorText = await response.text();
-    console.error('❌ Gemini API Error Details:', {
+    logger.error('❌ Gemini API Error Details', {
       status: response.status,
       statusText: response.statusText,
       body: errorText.substring(0, 1000) // 限制日志长度
     });
 
-    // 尝试解析错误响应
-    try {
-      const errorJson = JSON.parse(errorText);
-      console.error('🔍 Parsed error:', errorJson);
-    } catch (e) {
-      console.error('🔍 Raw error response:', errorText.substring(0, 500));
-    }
-
-    // 直接返回Gemini的错误响应
-    return new Response(errorText, fixCors(response));
+    // 转换为OpenAI格式的错误体，便于客户端展示
+    return errorResponse(response, errorText);
   }
 
   // 处理成功响应
@@ -318,7 +510,7 @@ async function handleCompletions(req, apiKey) {
   const shared = {};
 
   if (req.stream) {
-    body = response.body
+    body = endStreamOnError(response.body
       .pipeThrough(new TextDecoderStream())
       .pipeThrough(new TransformStream({
         transform: parseStream,
@@ -330,25 +522,34 @@ async function handleCompletions(req, apiKey) {
         transform: toOpenAiStream,
         flush: toOpenAiStreamFlush,
         streamIncludeUsage: req.stream_options?.include_usage,
-        model, id, last: [],
+        model, id, last: [], toolCalls: [],
         shared,
-      }))
+      })), streamErrorEvent)
       .pipeThrough(new TextEncoderStream());
-  } else {
-    body = await response.text();
-    try {
-      body = JSON.parse(body);
-      if (!body.candidates) {
-        throw new Error("Invalid completion object");
-      }
-    } catch (err) {
-      console.error("Error parsing response:", err);
-      return new Response(body, fixCors(response)); // output as is
-    }
-    body = processCompletionsResponse(body, model, id);
+    return new Response(body, fixCors({
+      status: response.status,
+      headers: {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        [MODEL_HEADER]: model,
+      },
+    }));
   }
 
-  return new Response(body, fixCors(response));
+  body = await response.text();
+  try {
+    body = JSON.parse(body);
+    if (!body.candidates) {
+      throw new Error("Invalid completion object");
+    }
+  } catch (err) {
+    logger.error("Error parsing response", { error: err });
+    return new Response(body, fixCors(response)); // output as is
+  }
+  body = processCompletionsResponse(body, model, id);
+  const result = new Response(body, fixCors(response));
+  result.headers.set(MODEL_HEADER, model);
+  return result;
 }
 
 const adjustProps = (schemaPart) => {
@@ -368,7 +569,7 @@ const adjustProps = (schemaPart) => {
     Object.values(schemaPart).forEach(adjustProps);
   }
 };
-const adjustSchema = (schema) => {
+export const adjustSchema = (schema) => {
   // 深度清理schema，移除Gemini API不支持的字段
   const cleanSchema = (obj) => {
     if (typeof obj !== "object" || obj === null) return obj;
@@ -396,10 +597,162 @@ const harmCategory = [
   "HARM_CATEGORY_HARASSMENT",
   "HARM_CATEGORY_CIVIC_INTEGRITY",
 ];
-const safetySettings = harmCategory.map(category => ({
+export const safetySettings = harmCategory.map(category => ({
   category,
   threshold: "BLOCK_NONE",
 }));
+// 旧版 /v1/completions: 将 prompt（及 suffix）转换为 Gemini 请求，返回 text_completion 对象，
+// 供编辑器的补全插件使用。prompt 为数组时逐个请求，流式仅支持单个 prompt 且 n=1。
+const COMPLETION_INSTRUCTION = "You are a text completion engine. Continue the text provided by the user. " +
+  "Output only the continuation itself, without repeating the given text and without any explanation or markdown fences.";
+const INFILL_INSTRUCTION = "You are a code and text completion engine. The user provides a <prefix> and a <suffix>. " +
+  "Output only the text that belongs between them, without repeating the prefix or suffix and without any explanation or markdown fences.";
+
+const normalizePrompt = (prompt) => {
+  const prompts = Array.isArray(prompt) ? prompt : [prompt ?? ""];
+  if (prompts.length === 0) {
+    throw new HttpError("prompt must not be empty", 400);
+  }
+  for (const item of prompts) {
+    if (typeof item === "number" || Array.isArray(item)) {
+      throw new HttpError("Token array prompts are not supported; send prompt as a string or an array of strings", 400);
+    }
+    if (typeof item !== "string") {
+      throw new HttpError("prompt must be a string or an array of strings", 400);
+    }
+  }
+  return prompts;
+};
+
+const transformCompletionRequest = (req, prompt) => {
+  const text = req.suffix
+    ? `<prefix>${prompt}</prefix><suffix>${req.suffix}</suffix>`
+    : prompt;
+  const generationConfig = transformConfig({
+    max_tokens: req.max_tokens,
+    stop: typeof req.stop === "string" ? [req.stop] : req.stop,
+    n: req.n,
+    temperature: req.temperature,
+    top_p: req.top_p,
+    presence_penalty: req.presence_penalty,
+    frequency_penalty: req.frequency_penalty,
+    seed: req.seed,
+    reasoning_effort: req.reasoning_effort,
+  });
+  for (const key of Object.keys(generationConfig)) {
+    if (generationConfig[key] === undefined || generationConfig[key] === null) {
+      delete generationConfig[key];
+    }
+  }
+  return {
+    systemInstruction: { parts: [{ text: req.suffix ? INFILL_INSTRUCTION : COMPLETION_INSTRUCTION }] },
+    contents: [{ role: "user", parts: [{ text: text || " " }] }],
+    safetySettings,
+    generationConfig,
+  };
+};
+
+const candidateText = (cand) => (cand.content?.parts ?? [])
+  .filter(part => typeof part.text === "string" && !part.thought)
+  .map(part => part.text)
+  .join("");
+
+async function handleTextCompletions(req, pool) {
+  const prompts = normalizePrompt(req.prompt);
+  const n = req.n ?? 1;
+  if (req.stream && (prompts.length > 1 || n > 1)) {
+    throw new HttpError("Streaming is only supported for a single prompt with n=1", 400);
+  }
+  const resolved = resolveModel(req.model);
+  let model = resolved.model;
+  req = { ...resolved.defaults, ...req };
+  logger.info(`🤖 Using model: ${model}`, { requested: req.model || 'default', endpoint: "completions", prompts: prompts.length });
+
+  // 返回上游响应，并把 model 更新为实际使用的模型
+  const send = async (prompt, task) => {
+    const payload = JSON.stringify(transformCompletionRequest(req, prompt));
+    const result = await fetchWithModelFallback(pool, resolved.model, (apiKey, model) => fetchUpstream(`${BASE_URL}/${API_VERSION}/models/${model}:${task}`, {
+      method: "POST",
+      headers: makeHeaders(apiKey, { "Content-Type": "application/json" }),
+      body: payload,
+    }), { tokens: estimateTokens(payload.length) });
+    model = result.model;
+    return result.response;
+  };
+  const id = "cmpl-" + generateId();
+
+  if (req.stream) {
+    const response = await send(prompts[0], "streamGenerateContent?alt=sse");
+    if (!response.ok) {
+      return errorResponse(response, await response.text());
+    }
+    const shared = {};
+    const body = endStreamOnError(response.body
+      .pipeThrough(new TextDecoderStream())
+      .pipeThrough(new TransformStream({
+        transform: parseStream,
+        flush: parseStreamFlush,
+        buffer: "",
+        shared,
+      }))
+      .pipeThrough(new TransformStream({
+        transform: toTextCompletionStream,
+        flush: toTextCompletionStreamFlush,
+        streamIncludeUsage: req.stream_options?.include_usage,
+        echo: req.echo ? prompts[0] : undefined,
+        model, id,
+      })), streamErrorEvent)
+      .pipeThrough(new TextEncoderStream());
+    return new Response(body, fixCors({
+      status: response.status,
+      headers: {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        [MODEL_HEADER]: model,
+      },
+    }));
+  }
+
+  const results = await Promise.all(prompts.map(prompt => send(prompt, "generateContent")));
+  const failed = results.find(response => !response.ok);
+  if (failed) {
+    await Promise.all(results.filter(response => response !== failed).map(response => response.body?.cancel()));
+    return errorResponse(failed, await failed.text());
+  }
+  const choices = [];
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  let modelVersion = model;
+  for (const [promptIndex, response] of results.entries()) {
+    const data = JSON.parse(await response.text());
+    modelVersion = data.modelVersion ?? modelVersion;
+    const candidates = data.candidates ?? [];
+    if (candidates.length === 0) {
+      logger.info("Prompt block reason: " + data.promptFeedback?.blockReason);
+    }
+    for (let i = 0; i < Math.max(candidates.length, 1); i++) {
+      const cand = candidates[i];
+      choices.push({
+        text: (req.echo ? prompts[promptIndex] : "") + (cand ? candidateText(cand) : ""),
+        index: promptIndex * n + i,
+        logprobs: null,
+        finish_reason: cand ? reasonsMap[cand.finishReason] || cand.finishReason || null : "content_filter",
+      });
+    }
+    const { prompt_tokens = 0, completion_tokens = 0, total_tokens = 0 } = data.usageMetadata ? transformUsage(data.usageMetadata) : {};
+    usage.prompt_tokens += prompt_tokens;
+    usage.completion_tokens += completion_tokens;
+    usage.total_tokens += total_tokens;
+  }
+  return new Response(JSON.stringify({
+    id,
+    object: "text_completion",
+    created: Math.floor(Date.now() / 1000),
+    model: modelVersion,
+    choices,
+    usage,
+  }), fixCors({ headers: { "Content-Type": "application/json", [MODEL_HEADER]: model }, status: 200 }));
+}
+
 const fieldsMap = {
   frequency_penalty: "frequencyPenalty",
   max_completion_tokens: "maxOutputTokens",
@@ -412,7 +765,10 @@ const fieldsMap = {
   top_k: "topK", // non-standard
   top_p: "topP",
 };
-const thinkingBudgetMap = {
+// reasoning_effort → thinkingBudget；none 关闭思考（gemini-2.5-pro 不支持关闭，会返回上游错误）
+export const thinkingBudgetMap = {
+  none: 0,
+  minimal: 512,
   low: 1024,
   medium: 8192,
   high: 24576,
@@ -428,14 +784,26 @@ const transformConfig = (req) => {
   }
   if (req.response_format) {
     switch (req.response_format.type) {
-      case "json_schema":
-        adjustSchema(req.response_format);
-        cfg.responseSchema = req.response_format.json_schema?.schema;
-        if (cfg.responseSchema && "enum" in cfg.responseSchema) {
+      case "json_schema": {
+        const schema = req.response_format.json_schema?.schema;
+        if (!schema) {
+          throw new HttpError("response_format.json_schema.schema is required", 400);
+        }
+        try {
+          cfg.responseSchema = toGeminiSchema(schema);
+        } catch (err) {
+          if (err instanceof SchemaError) {
+            throw new HttpError(`Invalid schema for response_format '${req.response_format.json_schema.name ?? "json_schema"}': ${err.message}`, 400);
+          }
+          throw err;
+        }
+        if ("enum" in cfg.responseSchema) {
           cfg.responseMimeType = "text/x.enum";
           break;
         }
-      // eslint-disable-next-line no-fallthrough
+        cfg.responseMimeType = "application/json";
+        break;
+      }
       case "json_object":
         cfg.responseMimeType = "application/json";
         break;
@@ -447,45 +815,248 @@ const transformConfig = (req) => {
     }
   }
   if (req.reasoning_effort) {
+    if (!(req.reasoning_effort in thinkingBudgetMap)) {
+      throw new HttpError(`Unsupported reasoning_effort: ${req.reasoning_effort}`, 400);
+    }
     cfg.thinkingConfig = { thinkingBudget: thinkingBudgetMap[req.reasoning_effort] };
   }
+  // include_reasoning: 返回思考摘要（reasoning_content）
+  if (req.include_reasoning) {
+    cfg.thinkingConfig = { ...cfg.thinkingConfig, includeThoughts: true };
+  }
   return cfg;
 };
 
-const parseImg = async (url) => {
-  let mimeType, data;
-  if (url.startsWith("http://") || url.startsWith("https://")) {
+// 内联媒体（图片、音频、文件）大小限制: 单个文件和整个请求的解码后字节数都不能超过 MEDIA_MAX_BYTES，
+// Gemini 对内联数据的请求总大小上限为 20MB
+const MEDIA_FETCH_TIMEOUT_MS = 15000;
+
+const formatSize = (bytes) => bytes < 1024 * 1024 ? `${bytes} bytes` : (bytes / 1024 / 1024).toFixed(1) + "MB";
+
+// 按文件头识别常见格式，用于远程资源未返回 Content-Type 或文件名缺少扩展名的情况
+const magicTypes = [
+  [[0x89, 0x50, 0x4E, 0x47], "image/png"],
+  [[0xFF, 0xD8, 0xFF], "image/jpeg"],
+  [[0x47, 0x49, 0x46, 0x38], "image/gif"],
+  [[0x25, 0x50, 0x44, 0x46], "application/pdf"],
+  [[0x49, 0x44, 0x33], "audio/mp3"],
+  [[0x66, 0x4C, 0x61, 0x43], "audio/flac"],
+  [[0x4F, 0x67, 0x67, 0x53], "audio/ogg"],
+];
+const extensionTypes = {
+  png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg", gif: "image/gif", webp: "image/webp",
+  heic: "image/heic", heif: "image/heif", pdf: "application/pdf", txt: "text/plain", md: "text/markdown",
+  html: "text/html", csv: "text/csv", xml: "text/xml", json: "application/json",
+  wav: "audio/wav", mp3: "audio/mp3", aiff: "audio/aiff", aac: "audio/aac", ogg: "audio/ogg", flac: "audio/flac",
+};
+const sniffMimeType = (bytes, name = "") => {
+  const found = magicTypes.find(([magic]) => magic.every((byte, i) => bytes[i] === byte));
+  if (found) {
+    return found[1];
+  }
+  const riff = String.fromCharCode(...bytes.subarray(0, 4)) === "RIFF" && String.fromCharCode(...bytes.subarray(8, 12));
+  if (riff === "WEBP") { return "image/webp"; }
+  if (riff === "WAVE") { return "audio/wav"; }
+  const extension = name.split(/[?#]/)[0].split(".").pop().toLowerCase();
+  return extensionTypes[extension];
+};
+
+// 累计整个请求中的内联数据大小；media 为每个请求共享的 { bytes }
+const addMediaBytes = (media, bytes, what) => {
+  const limit = getConfig().MEDIA_MAX_BYTES;
+  if (bytes > limit) {
+    throw new HttpError(`${what} is too large (${formatSize(bytes)}); the maximum size is ${formatSize(limit)}`, 413);
+  }
+  media.bytes += bytes;
+  if (media.bytes > limit) {
+    throw new HttpError(`Total size of images, audio and files in the request (${formatSize(media.bytes)}) exceeds the limit of ${formatSize(limit)}`, 413);
+  }
+};
+
+const base64Size = (data) => Math.floor(data.replace(/=+$/, "").length * 3 / 4);
+
+// 远程资源只允许公网地址，避免代理被用来访问本机、内网或云平台元数据服务。
+// URL 解析时 IP 已被规范化（如 127.1、0x7f000001 → 127.0.0.1，IPv6 为压缩的十六进制形式）；
+// 域名只按名称检查，无法识别解析到内网地址的域名，需要完全禁止时设置 MEDIA_REMOTE_FETCH=false
+const MEDIA_MAX_REDIRECTS = 5;
+
+const isPrivateIPv4 = ([a, b]) => a === 0 || a === 10 || a === 127 || a >= 224 ||
+  (a === 100 && b >= 64 && b <= 127) || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) ||
+  (a === 192 && b === 168) || (a === 192 && b === 0) || (a === 198 && (b === 18 || b === 19));
+
+const parseIPv6 = (host) => {
+  const [head, tail] = host.split("::");
+  const groups = (part) => part ? part.split(":").map(group => parseInt(group, 16)) : [];
+  const front = groups(head), back = groups(tail);
+  return tail === undefined ? front : [...front, ...new Array(8 - front.length - back.length).fill(0), ...back];
+};
+
+const isPrivateIPv6 = (groups) => {
+  const embeddedIPv4 = [groups[6] >> 8, groups[6] & 0xff];
+  if (groups.slice(0, 5).every(group => group === 0) && [0, 0xffff].includes(groups[5])) {
+    // ::、::1、::a.b.c.d 和 IPv4 映射地址 ::ffff:a.b.c.d
+    return groups[5] === 0 && groups[6] === 0 ? true : isPrivateIPv4(embeddedIPv4);
+  }
+  if (groups[0] === 0x64 && groups[1] === 0xff9b) {
+    return isPrivateIPv4(embeddedIPv4); // NAT64
+  }
+  return (groups[0] & 0xfe00) === 0xfc00 || (groups[0] & 0xffc0) === 0xfe80 || (groups[0] & 0xff00) === 0xff00;
+};
+
+const isPublicHost = (hostname) => {
+  if (hostname.startsWith("[")) {
+    return !isPrivateIPv6(parseIPv6(hostname.slice(1, -1)));
+  }
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(hostname)) {
+    return !isPrivateIPv4(hostname.split(".").map(Number));
+  }
+  // 单段名称（如 intranet）由内网 DNS 搜索域解析
+  return hostname.includes(".") && !/(^|\.)(localhost|local|internal|home\.arpa)\.?$/.test(hostname);
+};
+
+const checkMediaUrl = (url, what) => {
+  if (!getConfig().MEDIA_REMOTE_FETCH) {
+    throw new HttpError(`Fetching ${what} from remote URLs is disabled; send it as a data: URL instead`, 400);
+  }
+  const { protocol, hostname } = new URL(url);
+  if (!["http:", "https:"].includes(protocol)) {
+    throw new HttpError(`Unsupported ${what} URL: ${url}`, 400);
+  }
+  if (!isPublicHost(hostname)) {
+    throw new HttpError(`${what} URL must point to a public host (got ${hostname})`, 400);
+  }
+};
+
+// 手动处理重定向，每一跳都检查目标地址
+const fetchPublic = async (url, what) => {
+  const signal = AbortSignal.timeout(MEDIA_FETCH_TIMEOUT_MS);
+  for (let redirects = 0; ; redirects++) {
+    checkMediaUrl(url, what);
+    let response;
     try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`${response.status} ${response.statusText} (${url})`);
-      }
-      mimeType = response.headers.get("content-type");
-      data = Buffer.from(await response.arrayBuffer()).toString("base64");
+      response = await fetch(url, { signal, redirect: "manual" });
     } catch (err) {
-      throw new Error("Error fetching image: " + err.toString());
+      throw new HttpError(`Error fetching ${what} (${url}): ${err.message}`, 400);
     }
-  } else {
-    const match = url.match(/^data:(?<mimeType>.*?)(;base64)?,(?<data>.*)$/);
-    if (!match) {
-      throw new HttpError("Invalid image data: " + url, 400);
+    const location = response.headers.get("location");
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return response;
+    }
+    await response.body?.cancel();
+    if (redirects >= MEDIA_MAX_REDIRECTS) {
+      throw new HttpError(`Error fetching ${what}: too many redirects (${url})`, 400);
     }
-    ({ mimeType, data } = match.groups);
+    url = new URL(location, url).href;
   }
+};
+
+// 下载远程资源，超过大小限制时立即中止
+const fetchMedia = async (url, what, media) => {
+  const limit = getConfig().MEDIA_MAX_BYTES;
+  const response = await fetchPublic(url, what);
+  if (!response.ok) {
+    await response.body?.cancel();
+    throw new HttpError(`Error fetching ${what}: ${response.status} ${response.statusText} (${url})`, 400);
+  }
+  const declared = parseInt(response.headers.get("content-length"), 10);
+  if (declared > limit) {
+    await response.body?.cancel();
+    addMediaBytes(media, declared, what);
+  }
+  const chunks = [];
+  let size = 0;
+  const reader = response.body.getReader();
+  for (let result = await reader.read(); !result.done; result = await reader.read()) {
+    size += result.value.byteLength;
+    if (size > limit) {
+      await reader.cancel();
+      addMediaBytes(media, size, what);
+    }
+    chunks.push(result.value);
+  }
+  const bytes = Buffer.concat(chunks);
+  addMediaBytes(media, bytes.length, what);
+  const contentType = response.headers.get("content-type")?.split(";")[0].trim();
   return {
-    inlineData: {
-      mimeType,
-      data,
-    },
+    mimeType: contentType && contentType !== "application/octet-stream" ? contentType : sniffMimeType(bytes, url),
+    data: bytes.toString("base64"),
   };
 };
 
-const transformFnResponse = ({ content, tool_call_id }) => {
+// data: URL → { mimeType, data(base64) }
+const parseDataUrl = (url, what, media) => {
+  const match = url.match(/^data:(?<mimeType>[^;,]*)(?<params>(?:;[^;,]*)*?)(?<base64>;base64)?,(?<data>.*)$/s);
+  if (!match) {
+    return;
+  }
+  let { mimeType, base64, data } = match.groups;
+  if (!base64) {
+    data = Buffer.from(decodeURIComponent(data)).toString("base64");
+  }
+  addMediaBytes(media, base64Size(data), what);
+  return { mimeType: mimeType || sniffMimeType(Buffer.from(data.slice(0, 24), "base64")), data };
+};
+
+const toInlineData = ({ mimeType, data }, what) => {
+  if (!mimeType) {
+    throw new HttpError(`Could not determine the MIME type of ${what}`, 400);
+  }
+  return { inlineData: { mimeType, data } };
+};
+
+// data: URL 或 http(s) URL → inlineData；what 用于错误信息（image、document 等）
+export const parseImg = async (url, media, what = "image") => {
+  if (typeof url !== "string") {
+    throw new HttpError(`${what} url must be a string`, 400);
+  }
+  if (url.startsWith("http://") || url.startsWith("https://")) {
+    return toInlineData(await fetchMedia(url, what, media), what);
+  }
+  const parsed = parseDataUrl(url, what, media);
+  if (!parsed) {
+    throw new HttpError(`Invalid ${what} data: ` + url.slice(0, 64), 400);
+  }
+  return toInlineData(parsed, what);
+};
+
+const audioTypes = { wav: "audio/wav", mp3: "audio/mp3" };
+const parseAudio = ({ data, format } = {}, media) => {
+  if (typeof data !== "string" || !format) {
+    throw new HttpError("input_audio requires base64 data and format", 400);
+  }
+  addMediaBytes(media, base64Size(data), "audio");
+  return toInlineData({ mimeType: audioTypes[format] ?? "audio/" + format, data }, "audio");
+};
+
+// file: { file_data: data URL 或 base64, filename }；file_id 需要 OpenAI Files API，无法支持
+export const parseFile = ({ file_data, file_id, filename } = {}, media) => {
+  if (!file_data) {
+    throw new HttpError(file_id
+      ? "file_id is not supported; send the file contents in file_data instead"
+      : "file.file_data is required", 400);
+  }
+  const what = filename ? `file "${filename}"` : "file";
+  const parsed = parseDataUrl(file_data, what, media);
+  if (parsed) {
+    return toInlineData({ ...parsed, mimeType: parsed.mimeType || sniffMimeType(Buffer.alloc(0), filename) }, what);
+  }
+  addMediaBytes(media, base64Size(file_data), what);
+  return toInlineData({
+    mimeType: sniffMimeType(Buffer.from(file_data.slice(0, 24), "base64"), filename),
+    data: file_data,
+  }, what);
+};
+
+// calls: tool_call_id → 函数名，由之前的 assistant tool_calls 记录
+const transformFnResponse = ({ content, tool_call_id, name }, calls) => {
+  if (Array.isArray(content)) {
+    content = content.map(item => item.text ?? "").join("");
+  }
   let response;
   try {
     response = JSON.parse(content);
   } catch (err) {
-    console.log(`ℹ️ Tool response content is not valid JSON. Wrapping as string result. Content: "${content.substring(0, 70)}..."`);
+    logger.debug('ℹ️ Tool response content is not valid JSON. Wrapping as string result.');
     response = { result: content };
   }
 
@@ -496,19 +1067,21 @@ const transformFnResponse = ({ content, tool_call_id }) => {
   if (!tool_call_id) {
     throw new HttpError("tool_call_id not specified", 400);
   }
+  name = calls.get(tool_call_id) ?? name;
+  if (!name) {
+    throw new HttpError(`No tool_call found for tool_call_id: "${tool_call_id}"`, 400);
+  }
 
-  // 返回一个标准的、独立的 functionResponse part
   return {
     functionResponse: {
-      // 注意：这里不再需要 name，因为 Gemini 会根据上下文自动关联
-      name: "placeholder", // Gemini API 在响应中需要name，但内容会被忽略
+      name,
       response,
     }
   };
 };
 
 
-const transformFnCalls = ({ tool_calls }) => {
+const transformFnCalls = ({ tool_calls }, calls) => {
   return tool_calls.map(({ function: { arguments: argstr, name }, id, type }) => {
     if (type !== "function") {
       throw new HttpError(`Unsupported tool_call type: "${type}"`, 400);
@@ -517,9 +1090,10 @@ const transformFnCalls = ({ tool_calls }) => {
     try {
       args = JSON.parse(argstr);
     } catch (err) {
-      console.error("Error parsing function arguments:", err);
+      logger.warn("Error parsing function arguments", { error: err });
       throw new HttpError("Invalid function arguments: " + argstr, 400);
     }
+    calls.set(id, name);
     return {
       functionCall: {
         name,
@@ -529,7 +1103,7 @@ const transformFnCalls = ({ tool_calls }) => {
   });
 };
 
-const transformMsg = async ({ content }) => {
+const transformMsg = async ({ content }, media) => {
   const parts = [];
   if (!Array.isArray(content)) {
     // system, user: string
@@ -547,21 +1121,19 @@ const transformMsg = async ({ content }) => {
         parts.push({ text: item.text });
         break;
       case "image_url":
-        parts.push(await parseImg(item.image_url.url));
+        parts.push(await parseImg(item.image_url?.url, media));
         break;
       case "input_audio":
-        parts.push({
-          inlineData: {
-            mimeType: "audio/" + item.input_audio.format,
-            data: item.input_audio.data,
-          }
-        });
+        parts.push(parseAudio(item.input_audio, media));
+        break;
+      case "file":
+        parts.push(parseFile(item.file, media));
         break;
       default:
         throw new HttpError(`Unknown "content" item type: "${item.type}"`, 400);
     }
   }
-  if (content.every(item => item.type === "image_url")) {
+  if (content.every(item => item.type !== "text")) {
     parts.push({ text: "" }); // to avoid "Unable to submit request because it must have a text parameter"
   }
   return parts;
@@ -606,6 +1178,8 @@ const transformMessages = async (messages) => {
 
   let system_instruction = { parts: [{ text: finalSystemPrompt }] };
   const contents = [];
+  const calls = new Map();
+  const media = { bytes: 0 };
 
   // 4. 使用我们之前已修复的逻辑来处理剩余的对话消息
   for (const item of otherMessages) {
@@ -613,26 +1187,36 @@ const transformMessages = async (messages) => {
       case "user":
         contents.push({
           role: "user",
-          parts: await transformMsg(item)
+          parts: await transformMsg(item, media)
         });
         break;
 
-      case "assistant":
+      case "assistant": {
+        const parts = item.content ? await transformMsg(item, media) : [];
+        if (item.tool_calls?.length) {
+          parts.push(...transformFnCalls(item, calls));
+        }
         contents.push({
           role: "model",
-          parts: item.tool_calls ? transformFnCalls(item) : await transformMsg(item)
+          parts: parts.length ? parts : [{ text: "" }]
         });
         break;
+      }
 
-      case "tool":
-        contents.push({
-          role: "tool",
-          parts: [transformFnResponse(item)]
-        });
+      case "tool": {
+        // 并行调用的多个结果需合并到同一个 function 回合中
+        const last = contents[contents.length - 1];
+        const part = transformFnResponse(item, calls);
+        if (last?.role === "function") {
+          last.parts.push(part);
+        } else {
+          contents.push({ role: "function", parts: [part] });
+        }
         break;
+      }
 
       default:
-        console.warn(`检测到未知或未处理的消息角色: "${item.role}"`);
+        logger.warn(`检测到未知或未处理的消息角色: "${item.role}"`);
         break;
     }
   }
@@ -645,6 +1229,11 @@ const transformMessages = async (messages) => {
   return { system_instruction, contents };
 };
 
+const toolChoiceModes = {
+  auto: "AUTO",
+  none: "NONE",
+  required: "ANY",
+};
 const transformTools = (req) => {
   let tools, tool_config;
   if (req.tools) {
@@ -653,32 +1242,23 @@ const transformTools = (req) => {
       tool.type === "function" && tool.function?.name !== 'googleSearch'
     );
 
-    // 1. 从环境变量 `GEMINI_MAX_TOOLS` 读取阈值，如果未设置，则默认为 15。
-    // 选择 15 作为默认值比 20 更保守，以提高稳定性。
-    const defaultMaxTools = 15;
-    let MAX_TOOLS = parseInt(process.env.GEMINI_MAX_TOOLS, 10);
-
-    // 2. 验证环境变量的值是否有效。如果无效或未设置，则使用默认值。
-    if (isNaN(MAX_TOOLS) || MAX_TOOLS <= 0) {
-      if (process.env.GEMINI_MAX_TOOLS) { // 仅当用户设置了无效值时才显示警告
-        console.warn(`[Config] ⚠️ GEMINI_MAX_TOOLS 设置了无效的值 ('${process.env.GEMINI_MAX_TOOLS}'). 将使用默认值: ${defaultMaxTools}`);
-      }
-      MAX_TOOLS = defaultMaxTools;
-    }
+    // 1. 读取 `GEMINI_MAX_TOOLS` 阈值（默认为 15，比 20 更保守，以提高稳定性；取值已在加载配置时校验）。
+    const MAX_TOOLS = getConfig().GEMINI_MAX_TOOLS;
 
-    // 3. 在日志中打印当前生效的工具数量限制，便于调试。
-    console.log(`[Config] 🔧 Effective tool limit (MAX_TOOLS) is set to: ${MAX_TOOLS}`);
+    // 2. 在日志中打印当前生效的工具数量限制，便于调试。
+    logger.debug(`[Config] 🔧 Effective tool limit (MAX_TOOLS) is set to: ${MAX_TOOLS}`);
 
-    // 4. 应用限制
+    // 3. 应用限制
     if (funcs.length > MAX_TOOLS) {
-      console.warn(`⚠️  Limiting tools from ${funcs.length} to ${MAX_TOOLS} as per configuration.`);
-      console.log('🔧 Kept tools:', funcs.slice(0, MAX_TOOLS).map(t => t.function?.name));
-      console.log('🚫 Dropped tools:', funcs.slice(MAX_TOOLS).map(t => t.function?.name));
+      logger.warn(`⚠️  Limiting tools from ${funcs.length} to ${MAX_TOOLS} as per configuration.`, {
+        kept: funcs.slice(0, MAX_TOOLS).map(t => t.function?.name),
+        dropped: funcs.slice(MAX_TOOLS).map(t => t.function?.name),
+      });
       funcs = funcs.slice(0, MAX_TOOLS);
     }
 
     if (funcs.length > 0) {
-      console.log('🔧 Processing tool schemas...');
+      logger.debug('🔧 Processing tool schemas...');
       funcs.forEach((tool, index) => {
         const originalSchema = JSON.stringify(tool.function.parameters);
         // 清理工具的参数schema
@@ -686,51 +1266,51 @@ const transformTools = (req) => {
         const cleanedSchema = JSON.stringify(tool.function.parameters);
 
         if (originalSchema !== cleanedSchema) {
-          console.log(`🧹 Cleaned schema for tool ${tool.function.name}: removed unsupported fields`);
-          if (process.env.NODE_ENV === 'development') {
-            console.log(`   Original: ${originalSchema.substring(0, 200)}...`);
-            console.log(`   Cleaned:  ${cleanedSchema.substring(0, 200)}...`);
-          }
+          logger.debug(`🧹 Cleaned schema for tool ${tool.function.name}: removed unsupported fields`, {
+            original: originalSchema.substring(0, 200),
+            cleaned: cleanedSchema.substring(0, 200),
+          });
         }
       });
-      tools = [{ function_declarations: funcs.map(schema => schema.function) }];
-      console.log('✅ Tool schemas processed successfully');
+      tools = [{
+        function_declarations: funcs.map(({ function: { name, description, parameters } }) => ({
+          name,
+          description,
+          // Gemini 不接受没有 properties 的 OBJECT 参数
+          parameters: parameters?.properties && Object.keys(parameters.properties).length
+            ? parameters
+            : undefined,
+        }))
+      }];
+      logger.debug('✅ Tool schemas processed successfully');
     }
   }
   if (req.tool_choice) {
     const allowed_function_names = req.tool_choice?.type === "function" ? [req.tool_choice?.function?.name] : undefined;
-    if (allowed_function_names || typeof req.tool_choice === "string") {
-      tool_config = {
-        function_calling_config: {
-          mode: allowed_function_names ? "ANY" : req.tool_choice.toUpperCase(),
-          allowed_function_names
-        }
-      };
+    const mode = allowed_function_names ? "ANY" : toolChoiceModes[req.tool_choice];
+    if (!mode) {
+      throw new HttpError(`Unsupported tool_choice: ${JSON.stringify(req.tool_choice)}`, 400);
     }
+    tool_config = {
+      function_calling_config: {
+        mode,
+        allowed_function_names
+      }
+    };
   }
   return { tools, tool_config };
 };
 
 const transformRequest = async (req) => {
-  const generationConfig = transformConfig(req);
-
-  // 强制禁用 Gemini 的 "Thinking" 功能。
-  // 这个功能会导致模型返回其思考过程的“实时评论”，而不是直接的答案或工具调用，
-  // 这种行为与 Cursor 客户端的期望不兼容。
-  if (generationConfig.thinkingConfig) {
-    console.log('🔧 Disabling Gemini "Thinking" feature to ensure direct responses for Cursor compatibility.');
-    delete generationConfig.thinkingConfig;
-  }
-
   return {
     ...await transformMessages(req.messages),
     safetySettings,
-    generationConfig, // 使用我们修改过的配置
+    generationConfig: transformConfig(req),
     ...transformTools(req),
   };
 };
 
-const generateId = () => {
+export const generateId = () => {
   const characters = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
   const randomChar = () => characters[Math.floor(Math.random() * characters.length)];
   return Array.from({ length: 29 }, randomChar).join("");
@@ -747,8 +1327,12 @@ const reasonsMap = { //https://ai.google.dev/api/rest/v1/GenerateContentResponse
 const SEP = "\n\n|>";
 const transformCandidates = (key, cand) => {
   const message = { role: "assistant", content: [] };
+  const reasoning = [];
   for (const part of cand.content?.parts ?? []) {
-    if (part.functionCall) {
+    if (part.thought) {
+      // 思考摘要单独放在 reasoning_content 中，不混入正文
+      reasoning.push(part.text);
+    } else if (part.functionCall) {
       const fc = part.functionCall;
       message.tool_calls = message.tool_calls ?? [];
       message.tool_calls.push({
@@ -756,7 +1340,7 @@ const transformCandidates = (key, cand) => {
         type: "function",
         function: {
           name: fc.name,
-          arguments: JSON.stringify(fc.args),
+          arguments: JSON.stringify(fc.args ?? {}),
         }
       });
     } else {
@@ -764,6 +1348,9 @@ const transformCandidates = (key, cand) => {
     }
   }
   message.content = message.content.join(SEP) || null;
+  if (reasoning.length) {
+    message.reasoning_content = reasoning.join("");
+  }
   return {
     index: cand.index || 0, // 0-index is absent in new -002 models response
     [key]: message,
@@ -775,21 +1362,25 @@ const transformCandidates = (key, cand) => {
 const transformCandidatesMessage = transformCandidates.bind(null, "message");
 const transformCandidatesDelta = transformCandidates.bind(null, "delta");
 
+// Gemini 的 candidatesTokenCount 不含思考 token，OpenAI 的 completion_tokens 包含 reasoning_tokens
 const transformUsage = (data) => ({
-  completion_tokens: data.candidatesTokenCount,
+  completion_tokens: (data.candidatesTokenCount ?? 0) + (data.thoughtsTokenCount ?? 0),
   prompt_tokens: data.promptTokenCount,
-  total_tokens: data.totalTokenCount
+  total_tokens: data.totalTokenCount,
+  prompt_tokens_details: {
+    cached_tokens: data.cachedContentTokenCount ?? 0,
+  },
+  completion_tokens_details: {
+    reasoning_tokens: data.thoughtsTokenCount ?? 0,
+  },
 });
 
 const checkPromptBlock = (choices, promptFeedback, key) => {
   if (choices.length) { return; }
   if (promptFeedback?.blockReason) {
-    console.log("Prompt block reason:", promptFeedback.blockReason);
-    if (promptFeedback.blockReason === "SAFETY") {
-      promptFeedback.safetyRatings
-        .filter(r => r.blocked)
-        .forEach(r => console.log(r));
-    }
+    logger.info("Prompt block reason: " + promptFeedback.blockReason, {
+      blocked: promptFeedback.safetyRatings?.filter(r => r.blocked),
+    });
     choices.push({
       index: 0,
       [key]: null,
@@ -817,7 +1408,7 @@ const processCompletionsResponse = (data, model, id) => {
 };
 
 const responseLineRE = /^data: (.*)(?:\n\n|\r\r|\r\n\r\n)/;
-function parseStream(chunk, controller) {
+export function parseStream(chunk, controller) {
   this.buffer += chunk;
   do {
     const match = this.buffer.match(responseLineRE);
@@ -826,9 +1417,9 @@ function parseStream(chunk, controller) {
     this.buffer = this.buffer.substring(match[0].length);
   } while (true); // eslint-disable-line no-constant-condition
 }
-function parseStreamFlush(controller) {
+export function parseStreamFlush(controller) {
   if (this.buffer) {
-    console.error("Invalid data:", this.buffer);
+    logger.error("Invalid data", { data: this.buffer.substring(0, 1000) });
     controller.enqueue(this.buffer);
     this.shared.is_buffers_rest = true;
   }
@@ -847,7 +1438,7 @@ function toOpenAiStream(line, controller) {
       throw new Error("Invalid completion chunk object");
     }
   } catch (err) {
-    console.error("Error parsing response:", err);
+    logger.error("Error parsing response", { error: err });
     // 修复问题3: 修正语法错误
     if (!this.shared.is_buffers_rest) { line += delimiter; }
     controller.enqueue(line); // output as is
@@ -860,16 +1451,22 @@ function toOpenAiStream(line, controller) {
     model: data.modelVersion ?? this.model,
     //system_fingerprint: "fp_69829325d0",
     object: "chat.completion.chunk",
-    usage: data.usageMetadata && this.streamIncludeUsage ? null : undefined,
+    usage: this.streamIncludeUsage ? null : undefined,
   };
+  if (data.usageMetadata) {
+    this.usage = transformUsage(data.usageMetadata);
+  }
+  this.model = obj.model;
   if (checkPromptBlock(obj.choices, data.promptFeedback, "delta")) {
     controller.enqueue(sseline(obj));
     return;
   }
-  console.assert(data.candidates.length === 1, "Unexpected candidates count: %d", data.candidates.length);
+  if (data.candidates.length !== 1) {
+    logger.warn(`Unexpected candidates count: ${data.candidates.length}`);
+  }
   const cand = obj.choices[0];
   cand.index = cand.index || 0; // absent in new -002 models response
-  const finish_reason = cand.finish_reason;
+  let finish_reason = cand.finish_reason;
   cand.finish_reason = undefined;
   if (!this.last[cand.index]) { // first
     controller.enqueue(sseline({
@@ -878,21 +1475,85 @@ function toOpenAiStream(line, controller) {
     }));
   }
   delete cand.delta.role;
+  if (cand.delta.tool_calls) {
+    // 流式 tool_calls 需要跨块递增的 index，客户端据此拼接参数
+    const offset = this.toolCalls[cand.index] ?? 0;
+    cand.delta.tool_calls.forEach((call, i) => { call.index = offset + i; });
+    this.toolCalls[cand.index] = offset + cand.delta.tool_calls.length;
+  }
+  if (this.toolCalls[cand.index] && finish_reason === "stop") {
+    finish_reason = "tool_calls";
+  }
   if ("content" in cand.delta) { // prevent empty data (e.g. when MAX_TOKENS)
     controller.enqueue(sseline(obj));
   }
   cand.finish_reason = finish_reason;
-  if (data.usageMetadata && this.streamIncludeUsage) {
-    obj.usage = transformUsage(data.usageMetadata);
-  }
   cand.delta = {};
   this.last[cand.index] = obj;
 }
 function toOpenAiStreamFlush(controller) {
-  if (this.last.length > 0) {
-    for (const obj of this.last) {
-      controller.enqueue(sseline(obj));
-    }
-    controller.enqueue("data: [DONE]" + delimiter);
+  // 每个候选的最后一块携带 finish_reason
+  for (const obj of this.last) {
+    controller.enqueue(sseline(obj));
+  }
+  // stream_options.include_usage: 单独发送一个 choices 为空的 usage 块
+  if (this.streamIncludeUsage && this.usage) {
+    controller.enqueue(sseline({
+      id: this.id,
+      choices: [],
+      model: this.model,
+      object: "chat.completion.chunk",
+      usage: this.usage,
+    }));
+  }
+  controller.enqueue("data: [DONE]" + delimiter);
+}
+
+function toTextCompletionStream(line, controller) {
+  let data;
+  try {
+    data = JSON.parse(line);
+  } catch (err) {
+    logger.error("Error parsing response", { error: err });
+    return;
+  }
+  if (data.usageMetadata) {
+    this.usage = transformUsage(data.usageMetadata);
+  }
+  this.model = data.modelVersion ?? this.model;
+  const cand = data.candidates?.[0];
+  let text = cand ? candidateText(cand) : "";
+  if (this.echo !== undefined && !this.echoed) {
+    text = this.echo + text;
+    this.echoed = true;
+  }
+  this.finishReason = cand
+    ? reasonsMap[cand.finishReason] || cand.finishReason || this.finishReason
+    : data.promptFeedback?.blockReason ? "content_filter" : this.finishReason;
+  if (text) {
+    controller.enqueue(sseline({
+      id: this.id,
+      object: "text_completion",
+      model: this.model,
+      choices: [{ text, index: 0, logprobs: null, finish_reason: null }],
+    }));
+  }
+}
+function toTextCompletionStreamFlush(controller) {
+  controller.enqueue(sseline({
+    id: this.id,
+    object: "text_completion",
+    model: this.model,
+    choices: [{ text: "", index: 0, logprobs: null, finish_reason: this.finishReason ?? "stop" }],
+  }));
+  if (this.streamIncludeUsage && this.usage) {
+    controller.enqueue(sseline({
+      id: this.id,
+      object: "text_completion",
+      model: this.model,
+      choices: [],
+      usage: this.usage,
+    }));
   }
+  controller.enqueue("data: [DONE]" + delimiter);
 }
@@ -0,0 +1,215 @@
+// 速率限制: 按 Key 的 RPM/TPM/RPD 和按调用方 token 的 RPM/RPD 计数（固定窗口）。
+// 计数默认保存在内存中，可通过 setRateLimitStore() 换成 Cloudflare Durable Objects、Deno KV 等存储。
+
+import { getConfig } from './config.js';
+import { hashString } from './key_pool.js';
+import { logger } from './logger.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// 存储接口: get(name) → 当前计数，incr(name, amount, ttlMs) → 累加并设置过期时间；
+// 或者 consume(id, windows) → 在存储端原子地检查并计数，返回需要等待的毫秒数（见 CloudflareDurableObjectStore）
+export class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  // 每个窗口的计数名称都不同，过期的计数不会再被读取，需要定期清理
+  sweep(now) {
+    for (const [name, counter] of this.counters) {
+      if (counter.expiresAt <= now) {
+        this.counters.delete(name);
+      }
+    }
+    this.lastSweep = now;
+  }
+
+  async get(name) {
+    const counter = this.counters.get(name);
+    if (!counter || counter.expiresAt <= Date.now()) {
+      this.counters.delete(name);
+      return 0;
+    }
+    return counter.count;
+  }
+
+  async incr(name, amount, ttlMs) {
+    const now = Date.now();
+    if (now - this.lastSweep >= MINUTE) {
+      this.sweep(now);
+    }
+    const count = await this.get(name) + amount;
+    this.counters.set(name, { count, expiresAt: now + ttlMs });
+    return count;
+  }
+}
+
+// Cloudflare Workers KV，仅为尽力而为的近似计数: 读后写不是原子操作，KV 最终一致，
+// 且同一个键每秒只允许写入约一次，突发请求时写入失败、请求不受限速。需要严格限速时使用 Durable Objects。
+// KV 的最小 TTL 为 60 秒
+export class CloudflareKVStore {
+  constructor(namespace) {
+    this.namespace = namespace;
+  }
+
+  async get(name) {
+    return Number(await this.namespace.get(name)) || 0;
+  }
+
+  async incr(name, amount, ttlMs) {
+    const count = await this.get(name) + amount;
+    await this.namespace.put(name, String(count), {
+      expirationTtl: Math.max(60, Math.ceil(ttlMs / 1000)),
+    });
+    return count;
+  }
+}
+
+// Deno KV (Deno.openKv())
+export class DenoKVStore {
+  constructor(kv) {
+    this.kv = kv;
+  }
+
+  async get(name) {
+    const { value } = await this.kv.get(["rate_limit", name]);
+    return value ?? 0;
+  }
+
+  async incr(name, amount, ttlMs) {
+    const count = await this.get(name) + amount;
+    await this.kv.set(["rate_limit", name], count, { expireIn: ttlMs });
+    return count;
+  }
+}
+
+// Cloudflare Durable Objects: 每个限速对象（Key 或调用方）对应一个 RateLimitCounter 实例，
+// 检查和计数在该实例中串行执行，并发的突发请求也不会超出限额
+export class CloudflareDurableObjectStore {
+  constructor(namespace) {
+    this.namespace = namespace;
+  }
+
+  async consume(id, windows) {
+    const counter = this.namespace.get(this.namespace.idFromName(id));
+    const response = await counter.fetch('https://rate-limit.invalid/consume', {
+      method: 'POST',
+      body: JSON.stringify(windows),
+    });
+    if (!response.ok) {
+      throw new Error(`Rate limit counter returned HTTP ${response.status}`);
+    }
+    return (await response.json()).wait;
+  }
+}
+
+// Durable Object 类（wrangler.toml 中绑定为 RATE_LIMIT_COUNTER），计数保存在 Durable Object 存储中。
+// 等待存储读写期间运行时不会向同一实例投递其他请求，因此检查和计数不会交错；过期的计数由 alarm 清理
+export class RateLimitCounter {
+  constructor(state) {
+    this.storage = state.storage;
+  }
+
+  async get(name) {
+    const counter = await this.storage.get(name);
+    return counter && counter.expiresAt > Date.now() ? counter.count : 0;
+  }
+
+  async incr(name, amount, ttlMs) {
+    const expiresAt = Date.now() + ttlMs;
+    const count = await this.get(name) + amount;
+    await this.storage.put(name, { count, expiresAt });
+    const alarm = await this.storage.getAlarm();
+    if (alarm === null || alarm > expiresAt) {
+      await this.storage.setAlarm(expiresAt);
+    }
+    return count;
+  }
+
+  async fetch(request) {
+    const wait = await checkWindows(this, await request.json(), Date.now());
+    return new Response(JSON.stringify({ wait }), { headers: { 'Content-Type': 'application/json' } });
+  }
+
+  async alarm() {
+    const now = Date.now();
+    let next;
+    for (const [name, counter] of await this.storage.list()) {
+      if (counter.expiresAt <= now) {
+        await this.storage.delete(name);
+      } else {
+        next = Math.min(next ?? Infinity, counter.expiresAt);
+      }
+    }
+    if (next !== undefined) {
+      await this.storage.setAlarm(next);
+    }
+  }
+}
+
+let store = new MemoryStore();
+
+export function setRateLimitStore(newStore) {
+  store = newStore;
+}
+
+const readLimit = (name) => getConfig()[name];
+
+// 检查 rules 中的所有窗口，任一超限时返回需要等待的毫秒数；否则计数并返回 0。
+// 存储出错时（例如 Workers KV 对同一键每秒只允许写入一次）不限速，只记录警告
+async function consume(id, rules) {
+  try {
+    const now = Date.now();
+    const windows = rules
+      .filter(rule => rule.limit > 0 && rule.amount > 0)
+      .map(({ type, limit, amount, windowMs }) => {
+        const windowStart = Math.floor(now / windowMs) * windowMs;
+        return { name: `${id}:${type}:${windowStart}`, limit, amount, resetAt: windowStart + windowMs };
+      });
+    if (windows.length === 0) {
+      return 0;
+    }
+    return store.consume ? await store.consume(id, windows) : await checkWindows(store, windows, now);
+  } catch (err) {
+    logger.warn('⚠️ Rate limit store failed, allowing the request', { error: err.message });
+    return 0;
+  }
+}
+
+// windows: [{ name, limit, amount, resetAt }]；counters 为 get / incr 存储
+async function checkWindows(counters, windows, now) {
+  let wait = 0;
+  for (const window of windows) {
+    const used = await counters.get(window.name);
+    if (used + window.amount > window.limit) {
+      wait = Math.max(wait, window.resetAt - now);
+    }
+  }
+  if (wait > 0) {
+    return wait;
+  }
+  await Promise.all(windows.map(window => counters.incr(window.name, window.amount, window.resetAt - now)));
+  return 0;
+}
+
+// 按 Key 限速，tokens 为本次请求的估算 token 数
+export function checkKeyLimit(key, tokens = 0) {
+  return consume(`key:${hashString(key).toString(36)}`, [
+    { type: "rpm", limit: readLimit("RATE_LIMIT_KEY_RPM"), windowMs: MINUTE, amount: 1 },
+    { type: "tpm", limit: readLimit("RATE_LIMIT_KEY_TPM"), windowMs: MINUTE, amount: tokens },
+    { type: "rpd", limit: readLimit("RATE_LIMIT_KEY_RPD"), windowMs: DAY, amount: 1 },
+  ]);
+}
+
+// 按调用方 token 限速，未携带 token 的调用方共用一个计数
+export function checkClientLimit(client) {
+  return consume(`client:${client ? hashString(client).toString(36) : "anonymous"}`, [
+    { type: "rpm", limit: readLimit("RATE_LIMIT_CLIENT_RPM"), windowMs: MINUTE, amount: 1 },
+    { type: "rpd", limit: readLimit("RATE_LIMIT_CLIENT_RPD"), windowMs: DAY, amount: 1 },
+  ]);
+}
+
+// 粗略估算 token 数（约 4 字节 / token）
+export const estimateTokens = (byteLength) => Math.ceil((byteLength ?? 0) / 4);
@@ -0,0 +1,183 @@
+// 响应缓存（默认关闭）: 相同调用方 + 请求体 + 模型的非流式生成、Embeddings 和模型列表请求直接返回缓存的响应。
+// 缓存键包含调用方凭据（只保存哈希）: 使用自己 Gemini Key 的调用方和使用不同访问令牌的调用方互不共享缓存。
+// RESPONSE_CACHE_TTL: 缓存有效期（秒），0 或未设置表示关闭
+// RESPONSE_CACHE_MAX_ENTRY_BYTES: 单个响应体超过该大小时不缓存
+// RESPONSE_CACHE_MAX_BYTES: 内存存储的总大小上限，超出时淘汰最久未使用的条目
+// 请求头 Cache-Control: no-cache 跳过缓存读取（仍会写入新结果），no-store 既不读也不写。
+// 命中情况通过响应头 x-proxy-cache: HIT / MISS 返回。
+// 缓存默认保存在内存中，可通过 setResponseCacheStore() 换成 Cloudflare Cache API、Workers KV 等存储。
+
+import { getConfig } from './config.js';
+import { logger } from './logger.js';
+import { sha256 } from './shared.js';
+
+export const CACHE_HEADER = 'x-proxy-cache';
+
+// 命中时随缓存内容返回的响应头，其余上游响应头不保存
+const STORED_HEADERS = ['content-type', 'access-control-allow-origin', 'x-proxy-model'];
+
+// 存储接口: get(key) → { status, headers, body } 或 undefined，put(key, entry, ttlMs)
+export class MemoryCacheStore {
+  constructor() {
+    // Map 按插入顺序遍历，读取时重新插入即可按最近使用排序
+    this.entries = new Map();
+    this.size = 0;
+  }
+
+  async get(key) {
+    const item = this.entries.get(key);
+    if (!item) {
+      return undefined;
+    }
+    this.entries.delete(key);
+    if (item.expiresAt <= Date.now()) {
+      this.size -= item.size;
+      return undefined;
+    }
+    this.entries.set(key, item);
+    return item.entry;
+  }
+
+  async put(key, entry, ttlMs) {
+    const maxBytes = getConfig().RESPONSE_CACHE_MAX_BYTES;
+    const size = entry.body.length;
+    if (size > maxBytes) {
+      return;
+    }
+    const previous = this.entries.get(key);
+    if (previous) {
+      this.entries.delete(key);
+      this.size -= previous.size;
+    }
+    for (const [oldest, item] of this.entries) {
+      if (this.size + size <= maxBytes) {
+        break;
+      }
+      this.entries.delete(oldest);
+      this.size -= item.size;
+    }
+    this.entries.set(key, { entry, size, expiresAt: Date.now() + ttlMs });
+    this.size += size;
+  }
+}
+
+// Cloudflare Workers KV（KV 的最小 TTL 为 60 秒）
+export class CloudflareKVCacheStore {
+  constructor(namespace) {
+    this.namespace = namespace;
+  }
+
+  async get(key) {
+    return await this.namespace.get(`response_cache:${key}`, 'json') ?? undefined;
+  }
+
+  async put(key, entry, ttlMs) {
+    await this.namespace.put(`response_cache:${key}`, JSON.stringify(entry), {
+      expirationTtl: Math.max(60, Math.ceil(ttlMs / 1000)),
+    });
+  }
+}
+
+// Cloudflare Cache API (caches.default)，仅在当前数据中心内共享
+export class CloudflareCacheStore {
+  constructor(cache) {
+    this.cache = cache;
+  }
+
+  // Cache API 以 URL 为键，使用一个不会被实际请求的域名
+  url(key) {
+    return `https://response-cache.invalid/${key}`;
+  }
+
+  async get(key) {
+    const response = await this.cache.match(this.url(key));
+    return response ? await response.json() : undefined;
+  }
+
+  async put(key, entry, ttlMs) {
+    await this.cache.put(this.url(key), new Response(JSON.stringify(entry), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': `max-age=${Math.ceil(ttlMs / 1000)}`,
+      },
+    }));
+  }
+}
+
+let store = new MemoryCacheStore();
+
+export function setResponseCacheStore(newStore) {
+  store = newStore;
+}
+
+export const isResponseCacheEnabled = () => getConfig().RESPONSE_CACHE_TTL > 0;
+
+// 按键名排序后序列化，字段顺序不同的相同请求得到相同的缓存键
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(name => value[name] !== undefined)
+      .map(name => `${JSON.stringify(name)}:${stableStringify(value[name])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+// 调用方凭据只作为摘要的输入，存储中的键不包含凭据本身
+const cacheKey = async ({ pool, scope, model, body }) => {
+  const caller = { fromClient: pool.fromClient, credential: pool.client };
+  return sha256(stableStringify({ caller, scope, model, body }));
+};
+
+const withCacheHeader = (response, value) => {
+  const headers = new Headers(response.headers);
+  headers.set(CACHE_HEADER, value);
+  return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+};
+
+// 缓存关闭时直接调用 produce()；否则按 { pool, scope, model, body } 查找缓存，未命中时调用 produce() 并保存 200 响应。
+// pool 为 authenticate() 返回的 Key 池，用于区分调用方。缓存存储出错时只记录日志，不影响请求本身
+export async function withResponseCache(request, { pool, scope, model, body }, produce) {
+  const ttl = getConfig().RESPONSE_CACHE_TTL;
+  if (!ttl) {
+    return produce();
+  }
+  const directives = (request.headers.get('cache-control') || '').toLowerCase();
+  const noStore = directives.includes('no-store');
+  const noCache = noStore || directives.includes('no-cache');
+  const key = await cacheKey({ pool, scope, model, body });
+
+  if (!noCache) {
+    try {
+      const entry = await store.get(key);
+      if (entry) {
+        logger.debug('💾 Response cache hit', { scope, model });
+        const headers = new Headers(entry.headers);
+        headers.set(CACHE_HEADER, 'HIT');
+        return new Response(entry.body, { status: entry.status, headers });
+      }
+    } catch (err) {
+      logger.warn('⚠️ Response cache read failed', { error: err.message });
+    }
+  }
+
+  const response = await produce();
+  if (response.status !== 200 || noStore) {
+    return withCacheHeader(response, 'MISS');
+  }
+  const text = await response.text();
+  const maxEntryBytes = getConfig().RESPONSE_CACHE_MAX_ENTRY_BYTES;
+  if (new TextEncoder().encode(text).byteLength <= maxEntryBytes) {
+    const headers = STORED_HEADERS
+      .filter(name => response.headers.has(name))
+      .map(name => [name, response.headers.get(name)]);
+    try {
+      await store.put(key, { status: response.status, headers, body: text }, ttl * 1000);
+    } catch (err) {
+      logger.warn('⚠️ Response cache write failed', { error: err.message });
+    }
+  }
+  return withCacheHeader(new Response(text, response), 'MISS');
+}
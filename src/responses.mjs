@@ -0,0 +1,412 @@
+// OpenAI Responses API (/v1/responses) → Gemini 转换。
+// 支持 instructions、input（字符串或消息 / function_call / function_call_output 条目）、function 工具、
+// reasoning、text.format 和流式事件（response.output_text.delta 等）。不保存历史，previous_response_id 不可用。
+
+import { estimateTokens } from "./rate_limit.js";
+import { logger } from "./logger.js";
+import { endStreamOnError, fetchUpstream } from "./upstream.js";
+import { MODEL_HEADER, fetchWithModelFallback } from "./model_fallback.js";
+import { resolveModel } from "./model_alias.js";
+import { SchemaError, toGeminiSchema } from "./json_schema.js";
+import { appendContent, toFunctionResponse, transformTools as transformToolList } from "./shared.js";
+import {
+  API_VERSION, BASE_URL, HttpError, errorResponse, errorTypes, generateId, makeHeaders,
+  parseFile, parseImg, parseStream, parseStreamFlush, safetySettings, thinkingBudgetMap,
+} from "./openai.mjs";
+
+const transformContent = async (content, media) => {
+  if (typeof content === "string") {
+    return [{ text: content }];
+  }
+  const parts = [];
+  for (const item of content ?? []) {
+    switch (item.type) {
+      case "input_text":
+      case "output_text":
+        parts.push({ text: item.text });
+        break;
+      case "refusal":
+        parts.push({ text: item.refusal });
+        break;
+      case "input_image":
+        if (!item.image_url) {
+          throw new HttpError("input_image.file_id is not supported; send image_url instead", 400);
+        }
+        parts.push(await parseImg(item.image_url, media));
+        break;
+      case "input_file":
+        parts.push(item.file_url ? await parseImg(item.file_url, media, "file") : parseFile(item, media));
+        break;
+      default:
+        throw new HttpError(`Unknown content type: "${item.type}"`, 400);
+    }
+  }
+  return parts;
+};
+
+const contentText = (content) => typeof content === "string"
+  ? content
+  : (content ?? []).map(item => item.text ?? "").join("");
+
+const parseArguments = (args) => {
+  try {
+    return JSON.parse(args || "{}");
+  } catch (err) {
+    throw new HttpError("Invalid function arguments: " + args, 400);
+  }
+};
+
+// input 条目 → Gemini contents；system / developer 消息并入 system_instruction
+const transformInput = async (req) => {
+  const items = typeof req.input === "string"
+    ? [{ role: "user", content: req.input }]
+    : req.input ?? [];
+  const system = req.instructions ? [req.instructions] : [];
+  const media = { bytes: 0 };
+  const calls = new Map(); // call_id → 函数名
+  const contents = [];
+  const push = (role, parts) => appendContent(contents, role, parts);
+  for (const item of items) {
+    switch (item.type ?? "message") {
+      case "message":
+        if (item.role === "system" || item.role === "developer") {
+          system.push(contentText(item.content));
+        } else {
+          push(item.role === "assistant" ? "model" : "user", await transformContent(item.content, media));
+        }
+        break;
+      case "function_call":
+        calls.set(item.call_id, item.name);
+        push("model", [{ functionCall: { name: item.name, args: parseArguments(item.arguments) } }]);
+        break;
+      case "function_call_output": {
+        const name = calls.get(item.call_id);
+        if (!name) {
+          throw new HttpError(`No function_call found for call_id: "${item.call_id}"`, 400);
+        }
+        push("user", [{ functionResponse: { name, response: toFunctionResponse(item.output) } }]);
+        break;
+      }
+      case "reasoning":
+        // 历史中的思考内容不回传给 Gemini
+        break;
+      default:
+        throw new HttpError(`Unsupported input item type: "${item.type}"`, 400);
+    }
+  }
+  if (contents.length === 0) {
+    throw new HttpError("input must contain at least one message", 400);
+  }
+  return {
+    ...(system.length && { system_instruction: { parts: [{ text: system.join("\n\n") }] } }),
+    contents,
+  };
+};
+
+const toolChoiceModes = { auto: "AUTO", none: "NONE", required: "ANY" };
+
+// web_search* 工具对应 Gemini 的 googleSearch，其余只支持 function 工具
+const transformTools = (req) => transformToolList(req, (tool) => {
+  if (tool.type !== "function") {
+    throw new HttpError(`Unsupported tool type: "${tool.type}"`, 400);
+  }
+  return { name: tool.name, description: tool.description, parameters: tool.parameters };
+}, (choice) => {
+  const mode = typeof choice === "string" ? toolChoiceModes[choice] : choice.type === "function" && "ANY";
+  if (!mode) {
+    throw new HttpError(`Unsupported tool_choice: ${JSON.stringify(choice)}`, 400);
+  }
+  return { mode, name: choice.name };
+});
+
+const transformConfig = (req) => {
+  const cfg = {
+    maxOutputTokens: req.max_output_tokens,
+    temperature: req.temperature,
+    topP: req.top_p,
+  };
+  const { effort, summary } = req.reasoning ?? {};
+  if (effort) {
+    if (!(effort in thinkingBudgetMap)) {
+      throw new HttpError(`Unsupported reasoning.effort: ${effort}`, 400);
+    }
+    cfg.thinkingConfig = { thinkingBudget: thinkingBudgetMap[effort] };
+  }
+  // reasoning.summary: 返回思考摘要
+  if (summary && summary !== "none") {
+    cfg.thinkingConfig = { ...cfg.thinkingConfig, includeThoughts: true };
+  }
+  const format = req.text?.format;
+  switch (format?.type) {
+    case undefined:
+    case "text":
+      break;
+    case "json_object":
+      cfg.responseMimeType = "application/json";
+      break;
+    case "json_schema":
+      try {
+        cfg.responseSchema = toGeminiSchema(format.schema);
+      } catch (err) {
+        if (err instanceof SchemaError) {
+          throw new HttpError(`Invalid schema for text.format '${format.name ?? "json_schema"}': ${err.message}`, 400);
+        }
+        throw err;
+      }
+      cfg.responseMimeType = "application/json";
+      break;
+    default:
+      throw new HttpError(`Unsupported text.format.type: ${format.type}`, 400);
+  }
+  return cfg;
+};
+
+const transformRequest = async (req) => ({
+  ...await transformInput(req),
+  safetySettings,
+  generationConfig: transformConfig(req),
+  ...transformTools(req),
+});
+
+const incompleteReasons = {
+  MAX_TOKENS: "max_output_tokens",
+  SAFETY: "content_filter",
+  RECITATION: "content_filter",
+  BLOCKLIST: "content_filter",
+  PROHIBITED_CONTENT: "content_filter",
+  SPII: "content_filter",
+};
+
+const transformUsage = (usage) => usage && {
+  input_tokens: usage.promptTokenCount ?? 0,
+  input_tokens_details: { cached_tokens: usage.cachedContentTokenCount ?? 0 },
+  output_tokens: (usage.candidatesTokenCount ?? 0) + (usage.thoughtsTokenCount ?? 0),
+  output_tokens_details: { reasoning_tokens: usage.thoughtsTokenCount ?? 0 },
+  total_tokens: usage.totalTokenCount ?? 0,
+};
+
+const responseObject = (state, status) => ({
+  id: state.id,
+  object: "response",
+  created_at: state.createdAt,
+  status,
+  error: null,
+  incomplete_details: status === "incomplete" ? { reason: state.incompleteReason } : null,
+  instructions: state.req.instructions ?? null,
+  max_output_tokens: state.req.max_output_tokens ?? null,
+  model: state.model,
+  output: status === "in_progress" ? [] : state.output,
+  parallel_tool_calls: true,
+  previous_response_id: null,
+  reasoning: state.req.reasoning ?? null,
+  temperature: state.req.temperature ?? null,
+  text: state.req.text ?? { format: { type: "text" } },
+  tool_choice: state.req.tool_choice ?? "auto",
+  tools: state.req.tools ?? [],
+  top_p: state.req.top_p ?? null,
+  usage: status === "in_progress" ? null : transformUsage(state.usage) ?? null,
+  metadata: state.req.metadata ?? {},
+});
+
+// 输出条目状态机: Gemini parts 依次转换为 reasoning / message / function_call 条目。
+// 流式时 emit 发送对应事件，非流式时 emit 为空操作，最终的 output 相同。
+const itemKind = (part) => part.functionCall ? "function_call" : part.thought ? "reasoning" : "message";
+
+function finishItem(state, emit) {
+  const item = state.current;
+  if (!item) {
+    return;
+  }
+  const output_index = state.output.length - 1;
+  if (item.type === "message") {
+    const part = item.content[0];
+    emit("response.output_text.done", { item_id: item.id, output_index, content_index: 0, text: part.text });
+    emit("response.content_part.done", { item_id: item.id, output_index, content_index: 0, part });
+  } else if (item.type === "reasoning") {
+    const part = item.summary[0];
+    emit("response.reasoning_summary_text.done", { item_id: item.id, output_index, summary_index: 0, text: part.text });
+    emit("response.reasoning_summary_part.done", { item_id: item.id, output_index, summary_index: 0, part });
+  } else {
+    emit("response.function_call_arguments.done", { item_id: item.id, output_index, arguments: item.arguments });
+  }
+  if (item.type !== "reasoning") {
+    item.status = "completed";
+  }
+  emit("response.output_item.done", { output_index, item });
+  state.current = undefined;
+}
+
+function startItem(state, emit, item) {
+  finishItem(state, emit);
+  state.output.push(item);
+  state.current = item;
+  const output_index = state.output.length - 1;
+  if (item.type === "message") {
+    emit("response.output_item.added", { output_index, item: { ...item, content: [] } });
+    emit("response.content_part.added", { item_id: item.id, output_index, content_index: 0, part: { ...item.content[0] } });
+  } else if (item.type === "reasoning") {
+    emit("response.output_item.added", { output_index, item: { ...item, summary: [] } });
+    emit("response.reasoning_summary_part.added", { item_id: item.id, output_index, summary_index: 0, part: { ...item.summary[0] } });
+  } else {
+    emit("response.output_item.added", { output_index, item: { ...item, arguments: "" } });
+  }
+}
+
+function addPart(state, part, emit) {
+  const kind = itemKind(part);
+  if (kind === "function_call") {
+    const args = JSON.stringify(part.functionCall.args ?? {});
+    startItem(state, emit, {
+      type: "function_call",
+      id: "fc_" + generateId(),
+      call_id: "call_" + generateId(),
+      name: part.functionCall.name,
+      arguments: args,
+      status: "in_progress",
+    });
+    emit("response.function_call_arguments.delta", { item_id: state.current.id, output_index: state.output.length - 1, delta: args });
+    finishItem(state, emit);
+    return;
+  }
+  if (typeof part.text !== "string") {
+    return;
+  }
+  if (state.current?.type !== kind) {
+    startItem(state, emit, kind === "reasoning"
+      ? { type: "reasoning", id: "rs_" + generateId(), summary: [{ type: "summary_text", text: "" }] }
+      : { type: "message", id: "msg_" + generateId(), status: "in_progress", role: "assistant", content: [{ type: "output_text", text: "", annotations: [] }] });
+  }
+  const item = state.current;
+  const output_index = state.output.length - 1;
+  if (kind === "reasoning") {
+    item.summary[0].text += part.text;
+    emit("response.reasoning_summary_text.delta", { item_id: item.id, output_index, summary_index: 0, delta: part.text });
+  } else {
+    item.content[0].text += part.text;
+    emit("response.output_text.delta", { item_id: item.id, output_index, content_index: 0, delta: part.text });
+  }
+}
+
+function addChunk(state, data, emit) {
+  state.model = data.modelVersion ?? state.model;
+  if (data.usageMetadata) {
+    state.usage = data.usageMetadata;
+  }
+  const candidate = data.candidates?.[0];
+  if (!candidate) {
+    if (data.promptFeedback?.blockReason) {
+      state.incompleteReason = "content_filter";
+    }
+    return;
+  }
+  for (const part of candidate.content?.parts ?? []) {
+    addPart(state, part, emit);
+  }
+  if (candidate.finishReason) {
+    state.incompleteReason = incompleteReasons[candidate.finishReason];
+  }
+}
+
+const finalStatus = (state) => state.incompleteReason ? "incomplete" : "completed";
+
+export async function handleResponses(req, pool) {
+  if (req.previous_response_id) {
+    throw new HttpError("previous_response_id is not supported: responses are not stored, send the full conversation in input", 400);
+  }
+  const resolved = resolveModel(req.model);
+  // 别名的默认参数（如 temperature）仅在请求未指定时生效
+  req = { ...resolved.defaults, ...req };
+  let model = resolved.model;
+  logger.info(`🤖 Using model: ${model}`, { requested: req.model || "default", endpoint: "responses" });
+  const payload = JSON.stringify(await transformRequest(req));
+  const task = req.stream ? "streamGenerateContent?alt=sse" : "generateContent";
+  let response;
+  ({ response, model } = await fetchWithModelFallback(pool, model, (apiKey, model) => fetchUpstream(`${BASE_URL}/${API_VERSION}/models/${model}:${task}`, {
+    method: "POST",
+    headers: makeHeaders(apiKey, { "Content-Type": "application/json" }),
+    body: payload,
+  }), { tokens: estimateTokens(payload.length) }));
+  if (!response.ok) {
+    return errorResponse(response, await response.text());
+  }
+  const state = {
+    id: "resp_" + generateId(),
+    createdAt: Math.floor(Date.now() / 1000),
+    model, req,
+    output: [],
+  };
+
+  if (req.stream) {
+    const transformer = {
+      transform: toResponsesStream,
+      flush: toResponsesStreamFlush,
+      state,
+      sequence: 0,
+    };
+    // 上游中途出错时以 error 事件结束，序号接着已发送的事件
+    const streamErrorEvent = (err) => `event: error\ndata: ${JSON.stringify({
+      type: "error",
+      sequence_number: transformer.sequence++,
+      code: errorTypes[err.status] ?? "server_error",
+      message: err.message,
+      param: null,
+    })}\n\n`;
+    const body = endStreamOnError(response.body
+      .pipeThrough(new TextDecoderStream())
+      .pipeThrough(new TransformStream({
+        transform: parseStream,
+        flush: parseStreamFlush,
+        buffer: "",
+        shared: {},
+      }))
+      .pipeThrough(new TransformStream(transformer)), streamErrorEvent)
+      .pipeThrough(new TextEncoderStream());
+    return new Response(body, {
+      headers: {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Access-Control-Allow-Origin": "*",
+        [MODEL_HEADER]: model,
+      },
+    });
+  }
+
+  addChunk(state, JSON.parse(await response.text()), () => {});
+  finishItem(state, () => {});
+  return new Response(JSON.stringify(responseObject(state, finalStatus(state))), {
+    headers: { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*", [MODEL_HEADER]: model },
+  });
+}
+
+function emitter(controller) {
+  return (type, data) => {
+    controller.enqueue(`event: ${type}\ndata: ${JSON.stringify({ type, sequence_number: this.sequence++, ...data })}\n\n`);
+  };
+}
+
+function toResponsesStream(line, controller) {
+  const emit = emitter.call(this, controller);
+  let data;
+  try {
+    data = JSON.parse(line);
+  } catch (err) {
+    logger.error("Error parsing response", { error: err });
+    return;
+  }
+  if (!this.started) {
+    this.started = true;
+    emit("response.created", { response: responseObject(this.state, "in_progress") });
+    emit("response.in_progress", { response: responseObject(this.state, "in_progress") });
+  }
+  addChunk(this.state, data, emit);
+}
+
+function toResponsesStreamFlush(controller) {
+  const emit = emitter.call(this, controller);
+  if (!this.started) {
+    toResponsesStream.call(this, "{}", controller);
+  }
+  finishItem(this.state, emit);
+  const status = finalStatus(this.state);
+  emit(status === "completed" ? "response.completed" : "response.incomplete", { response: responseObject(this.state, status) });
+}
@@ -0,0 +1,66 @@
+// 多个模块共用的辅助函数: Anthropic / Responses 路由的 Gemini 请求转换，以及缓存模块使用的 SHA-256 摘要。
+
+import { adjustSchema } from './openai.mjs';
+
+// 文本的 SHA-256 摘要（十六进制）
+export const sha256 = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// 追加一个回合；Gemini 要求相邻回合的角色交替，与上一个回合角色相同时合并 parts
+export const appendContent = (contents, role, parts) => {
+  const last = contents[contents.length - 1];
+  if (last?.role === role) {
+    last.parts.push(...parts);
+  } else {
+    contents.push({ role, parts });
+  }
+};
+
+// 工具输出 → functionResponse.response: JSON 对象原样使用，其他内容（包括非 JSON 文本）包装为 { result }
+export const toFunctionResponse = (output) => {
+  let response;
+  try {
+    response = JSON.parse(output);
+  } catch (err) {
+    response = output;
+  }
+  return typeof response === 'object' && response !== null && !Array.isArray(response)
+    ? response
+    : { result: response };
+};
+
+// 转换工具列表和 tool_choice，返回 { tools, tool_config }（没有工具时为空对象）。
+// web_search* 工具对应 Gemini 的 googleSearch；其他工具由 toFunction(tool) 返回 { name, description, parameters }，
+// tool_choice 由 toChoice(choice) 返回 { mode, name }，不支持时两者都应抛出 HttpError
+export const transformTools = ({ tools, tool_choice: choice }, toFunction, toChoice) => {
+  const result = {};
+  const declarations = [];
+  for (const tool of tools ?? []) {
+    if (tool.type?.startsWith('web_search')) {
+      result.tools = [...(result.tools ?? []), { googleSearch: {} }];
+      continue;
+    }
+    const { name, description, parameters } = toFunction(tool);
+    const schema = adjustSchema(parameters);
+    declarations.push({
+      name,
+      description,
+      parameters: schema?.properties && Object.keys(schema.properties).length ? schema : undefined,
+    });
+  }
+  if (declarations.length) {
+    result.tools = [{ function_declarations: declarations }, ...(result.tools ?? [])];
+  }
+  if (choice && declarations.length) {
+    const { mode, name } = toChoice(choice);
+    result.tool_config = {
+      function_calling_config: {
+        mode,
+        allowed_function_names: name ? [name] : undefined,
+      }
+    };
+  }
+  return result;
+};
@@ -0,0 +1,171 @@
+// 上游请求: 为发往 Gemini 的 fetch 加上超时，并把调用方断开连接传递给上游，避免继续消耗额度。
+// UPSTREAM_CONNECT_TIMEOUT: 流式请求（streamGenerateContent）从发出到收到响应头。
+//   非流式请求要等模型生成完毕才返回响应头，不适用该超时，只受 UPSTREAM_TOTAL_TIMEOUT 限制
+// UPSTREAM_FIRST_BYTE_TIMEOUT: 收到响应头到收到第一块响应体；fetchUpstream 等到第一块响应体才返回，
+//   因此流式请求的首字节超时也会作为错误抛出，由各路由返回 504
+// UPSTREAM_TOTAL_TIMEOUT: 整个请求（含流式响应体）
+// 单位均为毫秒，0 表示不限制。
+
+import { getConfig } from './config.js';
+import { getRequestContext, logger } from './logger.js';
+
+const getTimeouts = () => {
+  const config = getConfig();
+  return {
+    connect: config.UPSTREAM_CONNECT_TIMEOUT,
+    first_byte: config.UPSTREAM_FIRST_BYTE_TIMEOUT,
+    total: config.UPSTREAM_TOTAL_TIMEOUT,
+  };
+};
+
+export class UpstreamTimeoutError extends Error {
+  constructor(phase, ms) {
+    super(`Upstream request timed out (${phase} timeout of ${ms}ms exceeded)`);
+    this.name = 'UpstreamTimeoutError';
+    this.status = 504;
+    this.phase = phase;
+  }
+}
+
+// 调用方在上游返回前断开连接
+export class ClientAbortError extends Error {
+  constructor() {
+    super('Client closed the request');
+    this.name = 'ClientAbortError';
+    this.status = 499;
+  }
+}
+
+// 与 fetch 相同的参数；返回的响应体在超时或调用方断开时报错，读取方取消响应体时同时中止上游请求
+// 在收到第一块响应体之前超时或调用方断开时抛出 UpstreamTimeoutError / ClientAbortError
+export async function fetchUpstream(url, init = {}) {
+  const timeouts = getTimeouts();
+  const controller = new AbortController();
+  const clientSignal = getRequestContext().signal;
+  const timers = new Set();
+  const onClientAbort = () => controller.abort(new ClientAbortError());
+  const startTimer = (phase) => {
+    if (!timeouts[phase]) {
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      logger.warn('⏱️ Upstream timeout', { phase, timeout_ms: timeouts[phase] });
+      controller.abort(new UpstreamTimeoutError(phase, timeouts[phase]));
+    }, timeouts[phase]);
+    timers.add(timer);
+    return timer;
+  };
+  const stopTimer = (timer) => {
+    clearTimeout(timer);
+    timers.delete(timer);
+  };
+  const cleanup = () => {
+    timers.forEach(clearTimeout);
+    timers.clear();
+    clientSignal?.removeEventListener('abort', onClientAbort);
+  };
+  // 超时或调用方断开时抛出对应的错误，而不是通用的 AbortError
+  const reason = (err) => controller.signal.aborted ? controller.signal.reason : err;
+
+  if (clientSignal?.aborted) {
+    throw new ClientAbortError();
+  }
+  clientSignal?.addEventListener('abort', onClientAbort, { once: true });
+  startTimer('total');
+  const connectTimer = /:streamGenerateContent\b/i.test(url) ? startTimer('connect') : undefined;
+
+  let response;
+  try {
+    response = await fetch(url, { ...init, signal: controller.signal });
+  } catch (err) {
+    cleanup();
+    throw reason(err);
+  }
+  stopTimer(connectTimer);
+  if (!response.body) {
+    cleanup();
+    return response;
+  }
+
+  const firstByteTimer = startTimer('first_byte');
+  const reader = response.body.getReader();
+  // 与中止竞争，不依赖运行时是否中断了正在进行的 read()
+  const aborted = new Promise((resolve, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+  let first;
+  try {
+    first = await Promise.race([reader.read(), aborted]);
+  } catch (err) {
+    cleanup();
+    reader.cancel(reason(err)).catch(() => {});
+    throw reason(err);
+  }
+  stopTimer(firstByteTimer);
+
+  const body = new ReadableStream({
+    start(streamController) {
+      if (first.done) {
+        cleanup();
+        streamController.close();
+        return;
+      }
+      streamController.enqueue(first.value);
+      // 中止后立即让读取方收到错误
+      controller.signal.addEventListener('abort', () => {
+        cleanup();
+        streamController.error(controller.signal.reason);
+        reader.cancel(controller.signal.reason).catch(() => {});
+      }, { once: true });
+    },
+    async pull(streamController) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          cleanup();
+          streamController.close();
+        } else {
+          streamController.enqueue(value);
+        }
+      } catch (err) {
+        cleanup();
+        streamController.error(reason(err));
+      }
+    },
+    cancel(cancelReason) {
+      cleanup();
+      controller.abort(cancelReason);
+      return reader.cancel(cancelReason).catch(() => {});
+    },
+  });
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+}
+
+// 流式响应已经开始后上游出错（超时、连接中断）时，无法再返回错误状态码：
+// 把 toEvent(err) 生成的路由格式的错误事件作为最后一条发送，然后结束响应
+export function endStreamOnError(stream, toEvent) {
+  const reader = stream.getReader();
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (err) {
+        logger.warn('🚨 Upstream stream failed', { error: err.message, status: err.status });
+        controller.enqueue(toEvent(err));
+        controller.close();
+      }
+    },
+    cancel(cancelReason) {
+      return reader.cancel(cancelReason);
+    },
+  });
+}
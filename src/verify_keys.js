@@ -1,14 +1,45 @@
-async function verifyKey(key, controller) {
-  const url = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent';
+import { maskKey } from './logger.js';
+
+// 测试模型名只允许字母、数字、下划线、点和连字符，避免拼接出其他上游路径
+const MODEL_NAME_RE = /^[\w.-]+$/;
+
+// 根据Gemini的错误响应判断Key不可用的原因
+function classifyError(status, error) {
+  const reasons = (error?.details ?? []).map(d => d.reason).filter(Boolean);
+  const message = error?.message ?? '';
+  if (status === 429 || error?.status === 'RESOURCE_EXHAUSTED') {
+    return 'quota_exhausted';
+  }
+  if (reasons.includes('API_KEY_INVALID') || /API key not valid|API key expired/i.test(message)) {
+    return 'invalid_key';
+  }
+  if (/location is not supported/i.test(message)) {
+    return 'region_blocked';
+  }
+  if (status === 403) {
+    return 'permission_denied';
+  }
+  if (status === 404) {
+    return 'model_not_found';
+  }
+  return 'error';
+}
+
+async function verifyKey(key, model, timeout) {
+  const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent`;
   const body = {
     "contents": [{
       "role": "user",
       "parts": [{
         "text": "Hello"
       }]
-    }]
+    }],
+    "generationConfig": {
+      "maxOutputTokens": 1
+    }
   };
-  let result;
+  const start = Date.now();
+  const result = { key: maskKey(key), model };
   try {
     const response = await fetch(url, {
       method: 'POST',
@@ -17,38 +48,65 @@ async function verifyKey(key, controller) {
         'X-goog-api-key': key,
       },
       body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeout),
     });
+    result.status_code = response.status;
     if (response.ok) {
       await response.text(); // Consume body to release connection
-      result = { key: `${key.slice(0, 7)}......${key.slice(-7)}`, status: 'GOOD' };
+      result.status = 'GOOD';
     } else {
       const errorData = await response.json().catch(() => ({ error: { message: 'Unknown error' } }));
-      result = { key: `${key.slice(0, 7)}......${key.slice(-7)}`, status: 'BAD', error: errorData.error.message };
+      result.status = 'BAD';
+      result.reason = classifyError(response.status, errorData.error);
+      result.error = errorData.error?.message;
     }
   } catch (e) {
-    result = { key: `${key.slice(0, 7)}......${key.slice(-7)}`, status: 'ERROR', error: e.message };
+    result.status = 'ERROR';
+    result.reason = e.name === 'TimeoutError' ? 'timeout' : 'network_error';
+    result.error = e.message;
   }
-  controller.enqueue(new TextEncoder().encode('data: ' + JSON.stringify(result) + '\n\n'));
+  result.latency_ms = Date.now() - start;
+  return result;
+}
+
+// 以最多 concurrency 个并发逐个处理 items，每完成一个回调一次 onResult
+async function runWithConcurrency(items, concurrency, worker, onResult) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      onResult(await worker(item));
+    }
+  });
+  await Promise.all(runners);
 }
 
-export async function handleVerification(request) {
+// 校验Key池（或调用方传入）的全部Key，以SSE逐个返回结果，最后发送汇总事件。
+// 测试模型可通过 ?model= 或请求体 {"model": "..."} 指定。
+export async function handleVerification(request, pool, config) {
   try {
-    // const authHeader = request.headers.get('x-goog-api-key');
-    // if (!authHeader) {
-    //   return new Response(JSON.stringify({ error: 'Missing x-goog-api-key header.' }), {
-    //     status: 400,
-    //     headers: { 'Content-Type': 'application/json' },
-    //   });
-    // }
-    let keys = JSON.parse(process.env.GEMINI_API_KEY_LIST);
-    if (keys.length > 0) {
-      keys = [keys[0]];
+    const keys = pool.keys;
+    const body = await request.json().catch(() => ({}));
+    const requested = new URL(request.url).searchParams.get('model') ?? body?.model ?? config.VERIFY_MODEL;
+    const model = typeof requested === 'string' ? requested.replace(/^models\//, '') : undefined;
+    if (!model || !MODEL_NAME_RE.test(model)) {
+      return new Response(JSON.stringify({ error: `Invalid model name: ${JSON.stringify(requested)}` }), { status: 400, headers: { 'Content-Type': 'application/json' } });
     }
+    const concurrency = config.VERIFY_CONCURRENCY;
+    const timeout = config.VERIFY_TIMEOUT;
 
     const stream = new ReadableStream({
       async start(controller) {
-        const verificationPromises = keys.map(key => verifyKey(key, controller));
-        await Promise.all(verificationPromises);
+        const send = (event) => controller.enqueue(new TextEncoder().encode('data: ' + JSON.stringify(event) + '\n\n'));
+        const summary = { type: 'summary', model, total: keys.length, good: 0, bad: 0, error: 0, reasons: {} };
+        await runWithConcurrency(keys, concurrency, key => verifyKey(key, model, timeout), result => {
+          summary[result.status.toLowerCase()]++;
+          if (result.reason) {
+            summary.reasons[result.reason] = (summary.reasons[result.reason] ?? 0) + 1;
+          }
+          send(result);
+        });
+        send(summary);
         controller.close();
       }
     });
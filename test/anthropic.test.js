@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { geminiError, geminiReply, json, makeEnv, readEvents, request, sse, stubUpstream } from './helpers.js';
+
+const auth = { 'x-api-key': 'client-token', 'anthropic-version': '2023-06-01' };
+
+const messages = (body) => request('/v1/messages', {
+  headers: auth,
+  body: { model: 'claude-sonnet-4-5', max_tokens: 256, ...body },
+});
+
+test('system, content blocks and tool_use / tool_result are translated to Gemini', async () => {
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  const response = await messages({
+    system: [{ type: 'text', text: 'Be brief.' }, { type: 'text', text: 'Use tools.' }],
+    temperature: 0.2,
+    stop_sequences: ['END'],
+    tools: [{ name: 'get_weather', description: 'Weather', input_schema: { type: 'object', properties: { city: { type: 'string' } } } }],
+    tool_choice: { type: 'tool', name: 'get_weather' },
+    messages: [
+      { role: 'user', content: [
+        { type: 'text', text: 'Weather?' },
+        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' } },
+      ] },
+      { role: 'assistant', content: [
+        { type: 'thinking', thinking: 'hidden', signature: 'sig' },
+        { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } },
+      ] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: '{"temp": 21}' }] },
+      { role: 'user', content: 'Thanks' },
+    ],
+  });
+  assert.equal(response.status, 200);
+  await response.text();
+
+  const [call] = calls;
+  assert.equal(call.path, '/v1beta/models/gemini-2.5-pro:generateContent');
+  assert.deepEqual(call.body.system_instruction, { parts: [{ text: 'Be brief.\nUse tools.' }] });
+  assert.deepEqual(call.body.contents, [
+    { role: 'user', parts: [{ text: 'Weather?' }, { inlineData: { mimeType: 'image/png', data: 'iVBORw0KGgo=' } }] },
+    { role: 'model', parts: [{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } }] },
+    { role: 'user', parts: [{ functionResponse: { name: 'get_weather', response: { temp: 21 } } }, { text: 'Thanks' }] },
+  ]);
+  assert.deepEqual(call.body.generationConfig, { maxOutputTokens: 256, temperature: 0.2, stopSequences: ['END'] });
+  assert.equal(call.body.tools[0].function_declarations[0].name, 'get_weather');
+  assert.deepEqual(call.body.tool_config.function_calling_config, { mode: 'ANY', allowed_function_names: ['get_weather'] });
+});
+
+test('Gemini responses become Anthropic messages with content blocks, stop_reason and usage', async () => {
+  stubUpstream(() => json(geminiReply([
+    { text: 'Thinking…', thought: true, thoughtSignature: 'c2ln' },
+    { text: 'Let me check.' },
+    { functionCall: { name: 'get_weather', args: { city: 'Paris' } } },
+  ], { usage: { promptTokenCount: 12, candidatesTokenCount: 8, thoughtsTokenCount: 4, totalTokenCount: 24 } })));
+  const result = await (await messages({ messages: [{ role: 'user', content: 'Weather?' }] })).json();
+  assert.equal(result.type, 'message');
+  assert.equal(result.role, 'assistant');
+  assert.match(result.id, /^msg_/);
+  assert.equal(result.stop_reason, 'tool_use');
+  assert.deepEqual(result.usage, { input_tokens: 12, output_tokens: 12 });
+  assert.deepEqual(result.content.map(block => block.type), ['thinking', 'text', 'tool_use']);
+  assert.deepEqual(result.content[0], { type: 'thinking', thinking: 'Thinking…', signature: 'c2ln' });
+  assert.deepEqual(result.content[2].input, { city: 'Paris' });
+  assert.match(result.content[2].id, /^toolu_/);
+});
+
+test('streaming emits the Anthropic event sequence', async () => {
+  const calls = stubUpstream(() => sse([
+    { candidates: [{ content: { role: 'model', parts: [{ text: 'Hel' }] }, index: 0 }], usageMetadata: { promptTokenCount: 7 } },
+    { candidates: [{ content: { role: 'model', parts: [{ text: 'lo' }] }, index: 0 }] },
+    geminiReply([{ functionCall: { name: 'lookup', args: { q: 'x' } } }], { usage: { promptTokenCount: 7, candidatesTokenCount: 5, totalTokenCount: 12 } }),
+  ]));
+  const response = await messages({ stream: true, messages: [{ role: 'user', content: 'Hi' }] });
+  assert.equal(response.headers.get('content-type'), 'text/event-stream');
+  assert.equal(calls[0].path, '/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse');
+
+  const events = await readEvents(response);
+  assert.deepEqual(events.map(event => event.event), [
+    'message_start',
+    'content_block_start', 'content_block_delta', 'content_block_delta', 'content_block_stop',
+    'content_block_start', 'content_block_delta', 'content_block_stop',
+    'message_delta', 'message_stop',
+  ]);
+  assert.ok(events.every(({ event, data }) => data.type === event));
+  assert.equal(events[0].data.message.usage.input_tokens, 7);
+  assert.deepEqual([events[2].data.delta, events[3].data.delta], [{ type: 'text_delta', text: 'Hel' }, { type: 'text_delta', text: 'lo' }]);
+  assert.equal(events[5].data.content_block.name, 'lookup');
+  assert.deepEqual(events[6].data.delta, { type: 'input_json_delta', partial_json: '{"q":"x"}' });
+  assert.deepEqual(events[8].data, { type: 'message_delta', delta: { stop_reason: 'tool_use', stop_sequence: null }, usage: { output_tokens: 5 } });
+});
+
+test('count_tokens asks Gemini for the token count of the translated request', async () => {
+  const calls = stubUpstream(() => json({ totalTokens: 42 }));
+  const response = await request('/v1/messages/count_tokens', {
+    headers: auth, body: { model: 'claude-haiku-4-5', system: 'Be brief.', messages: [{ role: 'user', content: 'Hi' }] },
+  });
+  assert.deepEqual(await response.json(), { input_tokens: 42 });
+  assert.equal(calls[0].path, '/v1beta/models/gemini-2.5-flash:countTokens');
+  assert.equal(calls[0].body.generateContentRequest.model, 'models/gemini-2.5-flash');
+  assert.deepEqual(calls[0].body.generateContentRequest.contents, [{ role: 'user', parts: [{ text: 'Hi' }] }]);
+});
+
+test('errors use the Anthropic error format', async () => {
+  stubUpstream(() => geminiError(429, 'Resource has been exhausted', { status: 'RESOURCE_EXHAUSTED', headers: { 'Retry-After': '7' } }));
+  const limited = await messages({ messages: [{ role: 'user', content: 'Hi' }] });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('retry-after'), '7');
+  assert.deepEqual(await limited.json(), { type: 'error', error: { type: 'rate_limit_error', message: 'Resource has been exhausted' } });
+
+  const invalid = await messages({ messages: [] });
+  assert.equal(invalid.status, 400);
+  assert.equal((await invalid.json()).error.type, 'invalid_request_error');
+
+  for (const path of ['/v1/messages', '/v1/messages/count_tokens']) {
+    const nullBody = await request(path, { headers: auth, body: 'null' });
+    assert.equal(nullBody.status, 400);
+    assert.deepEqual(await nullBody.json(), {
+      type: 'error', error: { type: 'invalid_request_error', message: 'Request body must be a JSON object' },
+    });
+  }
+
+  const unauthorized = await request('/v1/messages', {
+    env: makeEnv({ PROXY_ACCESS_TOKENS: 'team-token' }), headers: auth, body: { messages: [{ role: 'user', content: 'Hi' }] },
+  });
+  assert.equal(unauthorized.status, 401);
+  assert.equal((await unauthorized.json()).error.type, 'authentication_error');
+});
+
+test('alias defaults apply when the request does not set them', async () => {
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  const env = makeEnv({
+    MODEL_ALIASES: JSON.stringify({ 'claude-*': { model: 'gemini-2.5-pro', defaults: { temperature: 0.2, top_p: 0.9 } } }),
+  });
+  for (const body of [{}, { temperature: 1 }]) {
+    const response = await request('/v1/messages', {
+      env, headers: auth,
+      body: { model: 'claude-sonnet-4-5', max_tokens: 16, messages: [{ role: 'user', content: 'Hi' }], ...body },
+    });
+    assert.equal(response.status, 200);
+    await response.text();
+  }
+  assert.equal(calls[0].path, '/v1beta/models/gemini-2.5-pro:generateContent');
+  assert.deepEqual(calls.map(call => call.body.generationConfig), [
+    { maxOutputTokens: 16, temperature: 0.2, topP: 0.9 },
+    { maxOutputTokens: 16, temperature: 1, topP: 0.9 },
+  ]);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getClientToken, parseClientKeys } from '../src/auth.js';
+import { geminiReply, json, makeEnv, makeKey, request, stubUpstream } from './helpers.js';
+
+const poolKey = makeKey(301);
+const env = makeEnv({ GEMINI_API_KEY_LIST: JSON.stringify([poolKey]), PROXY_ACCESS_TOKENS: 'team-token,ci-token' });
+const generateBody = { contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] };
+const chatBody = { model: 'gemini-2.5-flash', messages: [{ role: 'user', content: 'Hi' }] };
+
+test('client tokens are read from Authorization, x-goog-api-key, x-api-key and ?key=', () => {
+  const token = (url, headers) => getClientToken(new Request(url, { headers }));
+  assert.equal(token('http://proxy.test/', { Authorization: 'Bearer  abc ' }), 'abc');
+  assert.equal(token('http://proxy.test/', { 'x-goog-api-key': 'def' }), 'def');
+  assert.equal(token('http://proxy.test/', { 'x-api-key': 'ghi' }), 'ghi');
+  assert.equal(token('http://proxy.test/?key=jkl'), 'jkl');
+  assert.equal(token('http://proxy.test/'), undefined);
+});
+
+test('client key lists are only recognised when every item is a Gemini key', () => {
+  assert.deepEqual(parseClientKeys(`${makeKey(1)}, ${makeKey(2)},${makeKey(1)}`), [makeKey(1), makeKey(2)]);
+  assert.equal(parseClientKeys(`${makeKey(1)},team-token`), undefined);
+  assert.equal(parseClientKeys('team-token'), undefined);
+  assert.equal(parseClientKeys(undefined), undefined);
+});
+
+test('unknown callers get a 401 in the format of the route', async () => {
+  const calls = stubUpstream(() => assert.fail('upstream should not be called'));
+  const google = await request('/v1beta/models/gemini-2.5-flash:generateContent', {
+    env, headers: { Authorization: 'Bearer wrong' }, body: generateBody,
+  });
+  assert.equal(google.status, 401);
+  assert.equal((await google.json()).error.status, 'UNAUTHENTICATED');
+
+  const openai = await request('/v1/chat/completions', { env, headers: { Authorization: 'Bearer wrong' }, body: chatBody });
+  assert.equal(openai.status, 401);
+  assert.equal((await openai.json()).error.type, 'authentication_error');
+
+  const anthropic = await request('/v1/messages', {
+    env, headers: { 'x-api-key': 'wrong' }, body: { model: 'claude-sonnet-4', max_tokens: 10, messages: [{ role: 'user', content: 'Hi' }] },
+  });
+  assert.equal(anthropic.status, 401);
+  const body = await anthropic.json();
+  assert.equal(body.type, 'error');
+  assert.equal(body.error.type, 'authentication_error');
+
+  const missing = await request('/v1beta/models/gemini-2.5-flash:generateContent', { env, body: generateBody });
+  assert.equal(missing.status, 401);
+  await missing.text();
+  assert.equal(calls.length, 0);
+});
+
+test('valid access tokens use the key pool', async () => {
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  for (const headers of [{ Authorization: 'Bearer team-token' }, { 'x-goog-api-key': 'ci-token' }]) {
+    const response = await request('/v1beta/models/gemini-2.5-flash:generateContent', { env, headers, body: generateBody });
+    assert.equal(response.status, 200);
+    await response.text();
+  }
+  const response = await request('/v1/chat/completions', { env, headers: { Authorization: 'Bearer team-token' }, body: chatBody });
+  assert.equal(response.status, 200);
+  await response.text();
+  assert.deepEqual(calls.map(call => call.key), [poolKey, poolKey, poolKey]);
+});
+
+test('callers may bring their own Gemini keys instead of using the pool', async () => {
+  const own = [makeKey(311), makeKey(312)];
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  for (let i = 0; i < 4; i++) {
+    const response = await request('/v1/chat/completions', { env, headers: { Authorization: `Bearer ${own.join(',')}` }, body: chatBody });
+    assert.equal(response.status, 200);
+    await response.text();
+  }
+  assert.ok(calls.every(call => own.includes(call.key)));
+});
+
+test('ALLOW_CLIENT_KEYS=false rejects caller keys when access tokens are required', async () => {
+  stubUpstream(() => assert.fail('upstream should not be called'));
+  const strict = makeEnv({ GEMINI_API_KEY_LIST: JSON.stringify([poolKey]), PROXY_ACCESS_TOKENS: 'team-token', ALLOW_CLIENT_KEYS: 'false' });
+  const response = await request('/v1/chat/completions', {
+    env: strict, headers: { Authorization: `Bearer ${makeKey(321)}` }, body: chatBody,
+  });
+  assert.equal(response.status, 401);
+  await response.text();
+});
+
+test('/stats requires an access token and refuses caller keys', async () => {
+  const ok = await request('/stats', { env, method: 'GET', headers: { Authorization: 'Bearer team-token' } });
+  assert.equal(ok.status, 200);
+  await ok.json();
+  for (const token of ['wrong', makeKey(331)]) {
+    const response = await request('/stats', { env, method: 'GET', headers: { Authorization: `Bearer ${token}` } });
+    assert.equal(response.status, 401);
+    await response.text();
+  }
+});
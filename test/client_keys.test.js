@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { maskKey } from '../src/logger.js';
+import { geminiError, geminiReply, json, makeEnv, makeKey, readEvents, request, stubUpstream } from './helpers.js';
+
+const poolKey = makeKey(401);
+const env = makeEnv({ GEMINI_API_KEY_LIST: JSON.stringify([poolKey]) });
+const own = [makeKey(402), makeKey(403)];
+const generateBody = { contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] };
+
+test('caller keys from x-goog-api-key, Authorization or ?key= are used instead of the pool', async () => {
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  const sources = [
+    ['', { 'x-goog-api-key': own.join(',') }],
+    ['', { Authorization: `Bearer ${own.join(', ')}` }],
+    [`?key=${own.join(',')}`, {}],
+  ];
+  for (const [query, headers] of sources) {
+    for (let i = 0; i < 3; i++) {
+      const response = await request(`/v1beta/models/gemini-2.5-flash:generateContent${query}`, { env, headers, body: generateBody });
+      assert.equal(response.status, 200);
+      await response.text();
+    }
+  }
+  assert.ok(calls.every(call => own.includes(call.key)));
+});
+
+test('the ?key= parameter is replaced by the x-goog-api-key header and other parameters are kept', async () => {
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  const response = await request(`/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse&key=${own[0]}`, { env, body: generateBody });
+  await response.text();
+  assert.equal(calls[0].path, '/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse');
+  assert.equal(calls[0].key, own[0]);
+  assert.equal(calls[0].headers.get('content-type'), 'application/json');
+});
+
+test('a failing caller key is retried on the caller\'s other keys, never on the pool', async () => {
+  const [bad, good] = [makeKey(411), makeKey(412)];
+  const calls = stubUpstream(({ key }) => key === bad ? geminiError(429, 'quota', { status: 'RESOURCE_EXHAUSTED' }) : json(geminiReply('ok')));
+  for (let i = 0; i < 3; i++) {
+    const response = await request('/v1beta/models/gemini-2.5-flash:generateContent', {
+      env, headers: { 'x-goog-api-key': `${bad},${good}` }, body: generateBody,
+    });
+    assert.equal(response.status, 200);
+    await response.text();
+  }
+  assert.ok(calls.every(call => call.key !== poolKey));
+});
+
+test('/verify checks the keys supplied by the caller', async () => {
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  const response = await request('/verify', { env, headers: { 'x-goog-api-key': own.join(',') } });
+  assert.equal(response.status, 200);
+  const results = (await readEvents(response)).map(event => event.data).filter(data => data.type !== 'summary');
+  assert.deepEqual(results.map(result => result.key).sort(), own.map(maskKey).sort());
+  assert.deepEqual(calls.map(call => call.key).sort(), [...own].sort());
+});
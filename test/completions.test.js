@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { geminiError, geminiReply, json, readEvents, request, sse, stubUpstream } from './helpers.js';
+
+const auth = { Authorization: 'Bearer client-token' };
+
+const complete = (body) => request('/v1/completions', { headers: auth, body: { model: 'gemini-2.5-flash', ...body } });
+
+test('a prompt is sent as a single user turn and returned as a text_completion', async () => {
+  const calls = stubUpstream(() => json(geminiReply(' world', { usage: { promptTokenCount: 3, candidatesTokenCount: 2, totalTokenCount: 5 } })));
+  const response = await complete({ prompt: 'Hello', max_tokens: 16, stop: 'END', temperature: 0.1 });
+  assert.equal(response.status, 200);
+  assert.equal(calls[0].path, '/v1beta/models/gemini-2.5-flash:generateContent');
+  assert.deepEqual(calls[0].body.contents, [{ role: 'user', parts: [{ text: 'Hello' }] }]);
+  assert.ok(calls[0].body.systemInstruction.parts[0].text);
+  assert.deepEqual(calls[0].body.generationConfig, { maxOutputTokens: 16, stopSequences: ['END'], temperature: 0.1 });
+
+  const result = await response.json();
+  assert.equal(result.object, 'text_completion');
+  assert.match(result.id, /^cmpl-/);
+  assert.deepEqual(result.choices, [{ text: ' world', index: 0, logprobs: null, finish_reason: 'stop' }]);
+  assert.deepEqual(result.usage, { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 });
+});
+
+test('suffix switches to a fill-in-the-middle prompt', async () => {
+  const calls = stubUpstream(() => json(geminiReply('b = 2')));
+  await (await complete({ prompt: 'a = 1\n', suffix: '\nc = 3' })).text();
+  assert.equal(calls[0].body.contents[0].parts[0].text, '<prefix>a = 1\n</prefix><suffix>\nc = 3</suffix>');
+  assert.match(calls[0].body.systemInstruction.parts[0].text, /between them/);
+});
+
+test('array prompts, n and echo produce one choice per prompt and candidate', async () => {
+  const calls = stubUpstream(() => json({
+    candidates: [0, 1].map(index => ({ content: { role: 'model', parts: [{ text: `#${index}` }] }, finishReason: index ? 'MAX_TOKENS' : 'STOP', index })),
+    usageMetadata: { promptTokenCount: 2, candidatesTokenCount: 4, totalTokenCount: 6 },
+  }));
+  const result = await (await complete({ prompt: ['A', 'B'], n: 2, echo: true })).json();
+  assert.equal(calls.length, 2);
+  assert.ok(calls.every(call => call.body.generationConfig.candidateCount === 2));
+  assert.deepEqual(result.choices.map(choice => [choice.index, choice.text, choice.finish_reason]), [
+    [0, 'A#0', 'stop'],
+    [1, 'A#1', 'length'],
+    [2, 'B#0', 'stop'],
+    [3, 'B#1', 'length'],
+  ]);
+  assert.deepEqual(result.usage, { prompt_tokens: 4, completion_tokens: 8, total_tokens: 12 });
+});
+
+test('streaming emits text_completion chunks, a final finish_reason and [DONE]', async () => {
+  const calls = stubUpstream(() => sse([
+    { candidates: [{ content: { role: 'model', parts: [{ text: ' wor' }] }, index: 0 }] },
+    geminiReply('ld', { usage: { promptTokenCount: 1, candidatesTokenCount: 2, totalTokenCount: 3 } }),
+  ]));
+  const response = await complete({ prompt: 'Hello', stream: true, echo: true, stream_options: { include_usage: true } });
+  assert.equal(response.headers.get('content-type'), 'text/event-stream');
+  assert.equal(calls[0].path, '/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse');
+  const events = await readEvents(response);
+  assert.equal(events.at(-1).data, '[DONE]');
+  const objects = events.slice(0, -1).map(event => event.data);
+  assert.ok(objects.every(obj => obj.object === 'text_completion'));
+  assert.equal(objects.map(obj => obj.choices[0]?.text ?? '').join(''), 'Hello world');
+  assert.equal(objects.at(-2).choices[0].finish_reason, 'stop');
+  const { prompt_tokens, completion_tokens, total_tokens } = objects.at(-1).usage;
+  assert.deepEqual([prompt_tokens, completion_tokens, total_tokens], [1, 2, 3]);
+});
+
+test('invalid requests are rejected and upstream errors are returned in OpenAI format', async () => {
+  const calls = stubUpstream(() => geminiError(400, 'Invalid value at temperature', { status: 'INVALID_ARGUMENT' }));
+  for (const [body, message] of [
+    [{ prompt: [1, 2] }, /Token array prompts are not supported/],
+    [{ prompt: [] }, /prompt must not be empty/],
+    [{ prompt: ['a', 'b'], stream: true }, /Streaming is only supported for a single prompt/],
+  ]) {
+    const response = await complete(body);
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error.message, message);
+  }
+  assert.equal(calls.length, 0);
+
+  const response = await complete({ prompt: 'x', temperature: 9 });
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error.message, 'Invalid value at temperature');
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConfigError, loadConfig, parseList } from '../src/config.js';
+import { geminiReply, json, makeEnv, makeKey, request, stubUpstream } from './helpers.js';
+
+const generateBody = { contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] };
+
+test('lists accept a JSON array or comma / newline separated values', () => {
+  assert.deepEqual(parseList(undefined), []);
+  assert.deepEqual(parseList('["a", " b ", ""]'), ['a', 'b']);
+  assert.deepEqual(parseList('a, b\nc,,'), ['a', 'b', 'c']);
+  assert.throws(() => parseList('["a", "b"'), /is not a valid JSON array/);
+  assert.throws(() => parseList('[1, 2]'), /must be a JSON array of strings/);
+});
+
+test('settings are converted to their types and missing ones use the defaults', () => {
+  const config = loadConfig({
+    GEMINI_API_KEY_LIST: `${makeKey(601)},${makeKey(602)}`,
+    ALLOW_CLIENT_KEYS: 'FALSE',
+    GEMINI_MAX_RETRIES: ' 5 ',
+    LOG_LEVEL: 'silent',
+    // Cloudflare [vars] 中的数组和对象不是字符串
+    PROXY_ACCESS_TOKENS: ['team-a', 'team-b'],
+    MODEL_ALIASES: { 'gpt-4o': 'gemini-2.5-pro' },
+  });
+  assert.deepEqual(config.GEMINI_API_KEY_LIST, [makeKey(601), makeKey(602)]);
+  assert.deepEqual(config.PROXY_ACCESS_TOKENS, ['team-a', 'team-b']);
+  assert.equal(config.ALLOW_CLIENT_KEYS, false);
+  assert.equal(config.GEMINI_MAX_RETRIES, 5);
+  assert.deepEqual(config.MODEL_ALIASES, { 'gpt-4o': 'gemini-2.5-pro' });
+  assert.equal(config.GEMINI_KEY_STRATEGY, 'random');
+  assert.equal(config.UPSTREAM_TOTAL_TIMEOUT, 600000);
+  assert.equal(config.MEDIA_REMOTE_FETCH, true);
+  assert.deepEqual(config.MODEL_FALLBACKS, {});
+  assert.ok(Object.isFrozen(config));
+});
+
+test('the configuration is parsed once per env object', () => {
+  const env = makeEnv();
+  assert.equal(loadConfig(env), loadConfig(env));
+  assert.notEqual(loadConfig(env), loadConfig(makeEnv()));
+});
+
+test('every invalid setting is reported in one ConfigError without echoing secrets', () => {
+  let error;
+  try {
+    loadConfig({
+      GEMINI_API_KEY_LIST: `["${makeKey(603)}"`,
+      GEMINI_MAX_RETRIES: '-1',
+      EMBEDDINGS_BATCH_SIZE: '500',
+      GEMINI_KEY_STRATEGY: 'fastest',
+      MODEL_ALIASES: '["not", "an", "object"]',
+      VERIFY_MODEL: 'gemini-2.5-flash',
+    });
+  } catch (err) {
+    error = err;
+  }
+  assert.ok(error instanceof ConfigError);
+  assert.equal(error.problems.length, 5);
+  assert.match(error.problems[0], /^GEMINI_API_KEY_LIST is not a valid JSON array/);
+  assert.ok(!error.message.includes(makeKey(603)), 'key lists are never echoed');
+  assert.match(error.message, /GEMINI_MAX_RETRIES must be an integer >= 0 \(got "-1"\)/);
+  assert.match(error.message, /EMBEDDINGS_BATCH_SIZE must be an integer between 1 and 100/);
+  assert.match(error.message, /GEMINI_KEY_STRATEGY must be one of random, round_robin, weighted, lru, sticky/);
+  assert.match(error.message, /MODEL_ALIASES must be a JSON object/);
+
+  assert.throws(() => loadConfig({ ALLOW_CLIENT_KEYS: 'false' }),
+    /GEMINI_API_KEY_LIST is empty and ALLOW_CLIENT_KEYS is false/);
+});
+
+test('an invalid configuration makes every request a 500 that lists the problems', async () => {
+  const response = await request('/health', { method: 'GET', env: makeEnv({ GEMINI_KEY_COOLDOWN: 'soon' }) });
+  assert.equal(response.status, 500);
+  const { error } = await response.json();
+  assert.equal(error.status, 'FAILED_PRECONDITION');
+  assert.match(error.message, /GEMINI_KEY_COOLDOWN must be an integer/);
+});
+
+test('handlers use the keys from the env object passed to handleRequest', async () => {
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  const env = makeEnv({ GEMINI_API_KEY_LIST: `${makeKey(604)}\n${makeKey(605)}`, GEMINI_KEY_STRATEGY: 'round_robin' });
+  const health = await (await request('/health', { method: 'GET', env })).json();
+  assert.equal(health.api_keys_count, 2);
+
+  for (let i = 0; i < 2; i++) {
+    const response = await request('/v1beta/models/gemini-2.5-flash:generateContent', {
+      env, headers: { Authorization: 'Bearer client-token' }, body: generateBody,
+    });
+    assert.equal(response.status, 200);
+    await response.text();
+  }
+  assert.deepEqual(calls.map(call => call.key).sort(), [makeKey(604), makeKey(605)]);
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { geminiError, geminiReply, json, makeEnv, makeKey, request, stubUpstream } from './helpers.js';
+
+const auth = { Authorization: 'Bearer client-token' };
+
+// 每个测试使用不同的 Key，缓存句柄互不影响；阈值高于对话路由自带的系统指令
+const contextEnv = (n) => makeEnv({
+  GEMINI_API_KEY_LIST: JSON.stringify([makeKey(n)]),
+  CONTEXT_CACHE_MIN_TOKENS: '1000',
+});
+
+// cachedContents 创建请求返回递增的名称，生成请求返回带 cachedContentTokenCount 的回复
+const stubGemini = (generate = () => json(geminiReply('ok', {
+  usage: { promptTokenCount: 200, cachedContentTokenCount: 150, candidatesTokenCount: 5, totalTokenCount: 205 },
+}))) => {
+  const created = [];
+  const calls = stubUpstream((call) => {
+    if (call.path === '/v1beta/cachedContents') {
+      created.push(call.body);
+      return json({ name: `cachedContents/${created.length}`, expireTime: new Date(Date.now() + 600000).toISOString() });
+    }
+    return generate(call);
+  });
+  const generated = () => calls.filter(call => call.path.includes(':generateContent')).map(call => call.body);
+  return { created, generated };
+};
+
+const chat = (env, messages) => request('/v1/chat/completions', {
+  env, headers: auth, body: { model: 'gemini-2.5-flash', messages },
+});
+
+const text = (role, content) => ({ role, content });
+const gemini = (role, content) => ({ role, parts: [{ text: content }] });
+
+test('a long system prompt is cached and referenced on every turn', async () => {
+  const env = contextEnv(501);
+  const { created, generated } = stubGemini();
+  const system = 's'.repeat(5000);
+  for (const question of ['first', 'second']) {
+    const response = await chat(env, [text('system', system), text('user', question)]);
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).usage.prompt_tokens_details, { cached_tokens: 150 });
+  }
+  assert.equal(created.length, 1);
+  assert.ok(created[0].system_instruction.parts[0].text.endsWith(system));
+  assert.equal(created[0].contents, undefined);
+  assert.equal(created[0].model, 'models/gemini-2.5-flash');
+  for (const [i, body] of generated().entries()) {
+    assert.equal(body.cachedContent, 'cachedContents/1');
+    assert.equal(body.system_instruction, undefined);
+    assert.deepEqual(body.contents, [gemini('user', i ? 'second' : 'first')]);
+  }
+});
+
+test('the longest repeated contents prefix is cached as the conversation grows', async () => {
+  const env = contextEnv(502);
+  const { created, generated } = stubGemini();
+  const long = 'a'.repeat(5000);
+  const turns = [
+    [text('system', 'Be brief.'), text('user', long)],
+  ];
+  const next = (...messages) => turns.push([...turns.at(-1), ...messages]);
+  next(text('assistant', 'ok'), text('user', 'short'));
+  next(text('assistant', 'ok'), text('user', 'short 2'));
+  next(text('assistant', 'b'.repeat(5000)), text('user', 'more'));
+  next(text('assistant', 'ok'), text('user', 'end'));
+  for (const messages of turns) {
+    const response = await chat(env, messages);
+    assert.equal(response.status, 200);
+    await response.text();
+  }
+
+  const sent = generated();
+  // 第一轮没有重复的内容，系统指令也不够长
+  assert.equal(sent[0].cachedContent, undefined);
+  assert.equal(sent[0].contents.length, 1);
+
+  // 第二轮重复了第一轮的消息: 为它创建缓存，只发送新增的消息
+  assert.deepEqual(created[0].contents, [gemini('user', long)]);
+  assert.ok(created[0].system_instruction.parts[0].text.endsWith('Be brief.'));
+  assert.equal(sent[1].cachedContent, 'cachedContents/1');
+  assert.deepEqual(sent[1].contents, [gemini('model', 'ok'), gemini('user', 'short')]);
+
+  // 第三、四轮新增的重复部分不够长，继续引用已有的缓存
+  assert.equal(sent[2].cachedContent, 'cachedContents/1');
+  assert.equal(sent[2].contents.length, 4);
+  assert.equal(sent[3].cachedContent, 'cachedContents/1');
+  assert.equal(sent[3].contents.length, 6);
+
+  // 第五轮重复的前缀包含了较长的回复: 为更长的前缀创建新缓存，最后一条消息仍随请求发送
+  assert.equal(created.length, 2);
+  assert.equal(created[1].contents.length, 7);
+  assert.equal(sent[4].cachedContent, 'cachedContents/2');
+  assert.deepEqual(sent[4].contents, [gemini('model', 'ok'), gemini('user', 'end')]);
+});
+
+test('a cache that is gone upstream is dropped and the full request is resent', async () => {
+  const env = contextEnv(503);
+  let expired = true;
+  const { created, generated } = stubGemini((call) => {
+    if (call.body.cachedContent && expired) {
+      expired = false;
+      return geminiError(404, 'CachedContent not found (or permission denied)', { status: 'NOT_FOUND' });
+    }
+    return json(geminiReply('ok'));
+  });
+  const messages = [text('system', 'x'.repeat(5000)), text('user', 'Hi')];
+  const response = await chat(env, messages);
+  assert.equal(response.status, 200);
+  await response.text();
+
+  const sent = generated();
+  assert.equal(sent.length, 2);
+  assert.equal(sent[1].cachedContent, undefined);
+  assert.ok(sent[1].system_instruction.parts[0].text.endsWith('x'.repeat(5000)));
+
+  // 下一次请求重新创建缓存
+  await (await chat(env, messages)).text();
+  assert.equal(created.length, 2);
+  assert.equal(generated()[2].cachedContent, 'cachedContents/2');
+});
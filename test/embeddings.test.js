@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { geminiError, json, makeEnv, makeKey, request, stubUpstream } from './helpers.js';
+
+const auth = { Authorization: 'Bearer client-token' };
+
+const embed = (body, env) => request('/v1/embeddings', { env, headers: auth, body: { model: 'gemini-embedding-001', ...body } });
+
+// 每条输入的向量为 [该批次中的序号, 输入长度]
+const embedder = () => stubUpstream(({ body }) => json({
+  embeddings: body.requests.map((item, index) => ({ values: [index, item.content.parts.text.length] })),
+}));
+
+test('a string input becomes one batchEmbedContents request and an OpenAI list response', async () => {
+  const calls = embedder();
+  const response = await embed({ input: 'hello', dimensions: 256 });
+  assert.equal(response.status, 200);
+  assert.equal(calls[0].path, '/v1beta/models/gemini-embedding-001:batchEmbedContents');
+  assert.deepEqual(calls[0].body.requests, [
+    { model: 'models/gemini-embedding-001', content: { parts: { text: 'hello' } }, outputDimensionality: 256 },
+  ]);
+  const result = await response.json();
+  assert.deepEqual(result.data, [{ object: 'embedding', index: 0, embedding: [0, 5] }]);
+  assert.equal(result.object, 'list');
+  assert.equal(result.model, 'gemini-embedding-001');
+  assert.ok(result.usage.prompt_tokens > 0);
+  assert.equal(result.usage.total_tokens, result.usage.prompt_tokens);
+});
+
+test('large inputs are split into EMBEDDINGS_BATCH_SIZE batches spread across keys, keeping the input order', async () => {
+  const keys = [makeKey(901), makeKey(902), makeKey(903)];
+  const calls = embedder();
+  const env = makeEnv({ GEMINI_API_KEY_LIST: JSON.stringify(keys), GEMINI_KEY_STRATEGY: 'round_robin', EMBEDDINGS_BATCH_SIZE: '2' });
+  const input = ['a', 'bb', 'ccc', 'dddd', 'eeeee'];
+  const response = await embed({ input }, env);
+  assert.equal(response.status, 200);
+  assert.deepEqual(calls.map(call => call.body.requests.length), [2, 2, 1]);
+  assert.deepEqual(calls.map(call => call.key).sort(), keys);
+  const { data } = await response.json();
+  assert.deepEqual(data.map(item => item.index), [0, 1, 2, 3, 4]);
+  assert.deepEqual(data.map(item => item.embedding[1]), [1, 2, 3, 4, 5]);
+});
+
+test('EMBEDDINGS_CONCURRENCY limits how many batches are in flight', async () => {
+  let running = 0, peak = 0;
+  stubUpstream(async ({ body }) => {
+    peak = Math.max(peak, ++running);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    running--;
+    return json({ embeddings: body.requests.map(() => ({ values: [1] })) });
+  });
+  const env = makeEnv({ EMBEDDINGS_BATCH_SIZE: '1', EMBEDDINGS_CONCURRENCY: '2' });
+  const response = await embed({ input: ['a', 'b', 'c', 'd', 'e'] }, env);
+  assert.equal((await response.json()).data.length, 5);
+  assert.equal(peak, 2);
+});
+
+test('encoding_format=base64 returns little-endian float32 vectors', async () => {
+  stubUpstream(() => json({ embeddings: [{ values: [0.5, -1, 2] }] }));
+  const { data } = await (await embed({ input: 'x', encoding_format: 'base64' })).json();
+  const bytes = Buffer.from(data[0].embedding, 'base64');
+  assert.deepEqual([0, 4, 8].map(offset => bytes.readFloatLE(offset)), [0.5, -1, 2]);
+});
+
+test('invalid input is rejected before calling Gemini', async () => {
+  const calls = embedder();
+  const cases = [
+    [{ input: [1, 2, 3] }, /Token array input is not supported/],
+    [{ input: [[1, 2]] }, /Token array input is not supported/],
+    [{ input: [] }, /input must not be empty/],
+    [{ input: ['ok', ''] }, /must not contain empty strings/],
+    [{ input: { text: 'x' } }, /must be a string or an array of strings/],
+    [{ input: 'x', encoding_format: 'int8' }, /Unsupported encoding_format/],
+    [{ input: 'x', dimensions: 0 }, /dimensions must be a positive integer/],
+    [{ model: undefined, input: 'x' }, /model is not specified/],
+  ];
+  for (const [body, message] of cases) {
+    const response = await embed(body);
+    assert.equal(response.status, 400, JSON.stringify(body));
+    const { error } = await response.json();
+    assert.match(error.message, message);
+    assert.equal(error.type, 'invalid_request_error');
+  }
+  assert.equal(calls.length, 0);
+});
+
+test('a failing batch stops the remaining batches and its error is returned', async () => {
+  const calls = stubUpstream(() => geminiError(400, 'Request payload size exceeds the limit', { status: 'INVALID_ARGUMENT' }));
+  const env = makeEnv({ EMBEDDINGS_BATCH_SIZE: '1', EMBEDDINGS_CONCURRENCY: '1' });
+  const response = await embed({ input: ['a', 'b', 'c'] }, env);
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error.message, 'Request payload size exceeds the limit');
+  assert.equal(calls.length, 1);
+});
+
+// 分多个 chunk 返回的 JSON 响应，响应体在读完之前保持打开
+const chunked = (data, status = 200) => {
+  const chunks = JSON.stringify(data).match(/[^]{1,8}/g);
+  return new Response(new ReadableStream({
+    pull(controller) {
+      chunks.length ? controller.enqueue(new TextEncoder().encode(chunks.shift())) : controller.close();
+    },
+  }), { status, headers: { 'Content-Type': 'application/json' } });
+};
+
+test('responses of other batches are cancelled once a batch has failed', async () => {
+  const calls = stubUpstream(async ({ body }) => {
+    const text = body.requests[0].content.parts.text;
+    if (text === 'a') {
+      return geminiError(400, 'Request payload size exceeds the limit', { status: 'INVALID_ARGUMENT' });
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return text === 'b'
+      ? chunked({ error: { code: 500, message: 'Internal error', status: 'INTERNAL' } }, 500)
+      : chunked({ embeddings: [{ values: [1] }] });
+  });
+  // 较短的总超时让未被取消的请求也能结束，测试进程不会挂起
+  const env = makeEnv({ EMBEDDINGS_BATCH_SIZE: '1', EMBEDDINGS_CONCURRENCY: '3', UPSTREAM_TOTAL_TIMEOUT: '1000' });
+  const response = await embed({ input: ['a', 'b', 'c'] }, env);
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error.message, 'Request payload size exceeds the limit');
+  assert.equal(calls.length, 3);
+  // 取消响应体会中止对应的上游请求；成功的响应经过用量统计的 TransformStream，取消在之后才传到上游
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.deepEqual(calls.map(call => call.signal.aborted), [false, true, true]);
+});
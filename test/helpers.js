@@ -0,0 +1,97 @@
+// 测试辅助: 用本地桩替换上游 Gemini（globalThis.fetch），通过 handleRequest 发送请求。
+// 配置按 env 对象缓存，每个测试用 makeEnv() 创建新的 env 即可使用不同的设置。
+
+import { handleRequest } from '../src/handle_request.js';
+
+// 符合 Gemini API Key 格式的测试 Key
+export const makeKey = (n) => 'AIza' + String(n).padStart(35, '0');
+
+export const makeEnv = (vars = {}) => ({
+  LOG_LEVEL: 'silent',
+  GEMINI_API_KEY_LIST: JSON.stringify([makeKey(1)]),
+  ...vars,
+});
+
+const decodeBody = (body) => {
+  if (body === undefined || body === null) {
+    return undefined;
+  }
+  const text = typeof body === 'string' ? body : new TextDecoder().decode(body);
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return text;
+  }
+};
+
+// 上游桩: handler(call) 返回 Response（可以是 Promise）；返回的数组记录每次上游请求
+// call: { url, path, method, key, headers, body, signal }
+export function stubUpstream(handler) {
+  const calls = [];
+  globalThis.fetch = async (input, init = {}) => {
+    const url = new URL(String(input));
+    const headers = new Headers(init.headers);
+    const call = {
+      url: url.href,
+      path: url.pathname + url.search,
+      method: init.method ?? 'GET',
+      key: headers.get('x-goog-api-key'),
+      headers,
+      body: decodeBody(init.body),
+      signal: init.signal,
+    };
+    calls.push(call);
+    return handler(call, calls.length - 1);
+  };
+  return calls;
+}
+
+export const json = (data, status = 200, headers = {}) => new Response(JSON.stringify(data), {
+  status,
+  headers: { 'Content-Type': 'application/json', ...headers },
+});
+
+// Gemini 错误体
+export const geminiError = (status, message, extra = {}) => json({
+  error: { code: status, message, status: extra.status ?? 'ERROR', ...(extra.details && { details: extra.details }) },
+}, status, extra.headers);
+
+// Gemini generateContent 响应；parts 为字符串时作为单个文本 part
+export const geminiReply = (parts, { finishReason = 'STOP', usage, modelVersion } = {}) => ({
+  candidates: [{
+    content: { role: 'model', parts: typeof parts === 'string' ? [{ text: parts }] : parts },
+    finishReason,
+    index: 0,
+  }],
+  usageMetadata: usage ?? { promptTokenCount: 10, candidatesTokenCount: 5, totalTokenCount: 15 },
+  ...(modelVersion && { modelVersion }),
+});
+
+// streamGenerateContent?alt=sse 响应
+export const sse = (chunks) => new Response(
+  chunks.map(chunk => `data: ${JSON.stringify(chunk)}\r\n\r\n`).join(''),
+  { status: 200, headers: { 'Content-Type': 'text/event-stream' } },
+);
+
+// 通过 handleRequest 发送请求；body 为对象时序列化为 JSON
+export function request(path, { env = makeEnv(), method = 'POST', body, headers = {}, signal } = {}) {
+  const init = { method, headers: { 'Content-Type': 'application/json', ...headers }, signal };
+  if (body !== undefined) {
+    init.body = typeof body === 'string' ? body : JSON.stringify(body);
+  }
+  return handleRequest(new Request('http://proxy.test' + path, init), env);
+}
+
+// 读取 SSE 响应中的事件: [{ event, data }]，data 为解析后的 JSON 或原始文本（如 [DONE]）
+export async function readEvents(response) {
+  const text = await response.text();
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const event = block.match(/^event: (.*)$/m)?.[1];
+    const data = block.match(/^data: (.*)$/m)?.[1];
+    try {
+      return { event, data: JSON.parse(data) };
+    } catch (err) {
+      return { event, data };
+    }
+  });
+}
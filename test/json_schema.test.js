@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SchemaError, toGeminiSchema } from '../src/json_schema.js';
+import { geminiReply, json, request, stubUpstream } from './helpers.js';
+
+const auth = { Authorization: 'Bearer client-token' };
+
+const chat = (response_format) => request('/v1/chat/completions', {
+  headers: auth,
+  body: { model: 'gemini-2.5-flash', response_format, messages: [{ role: 'user', content: 'Hi' }] },
+});
+
+test('unsupported keywords are dropped, $ref is inlined and property order is kept', () => {
+  const schema = toGeminiSchema({
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 1, $comment: 'display name' },
+      address: { $ref: '#/$defs/Address' },
+      age: { type: ['integer', 'null'], exclusiveMinimum: 0 },
+    },
+    required: ['name'],
+    $defs: {
+      Address: { type: 'object', properties: { city: { type: 'string' } }, additionalProperties: false },
+    },
+  });
+  assert.deepEqual(schema, {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      address: { type: 'object', properties: { city: { type: 'string' } }, propertyOrdering: ['city'] },
+      age: { type: 'integer', nullable: true, minimum: 0 },
+    },
+    required: ['name'],
+    propertyOrdering: ['name', 'address', 'age'],
+  });
+});
+
+test('oneOf, allOf, const and nullable unions are rewritten into the Gemini subset', () => {
+  assert.deepEqual(toGeminiSchema({ anyOf: [{ type: 'string' }, { type: 'null' }], description: 'maybe' }),
+    { type: 'string', description: 'maybe', nullable: true });
+  assert.deepEqual(toGeminiSchema({ oneOf: [{ type: 'string' }, { type: 'number' }] }),
+    { anyOf: [{ type: 'string' }, { type: 'number' }] });
+  assert.deepEqual(toGeminiSchema({ const: 'yes' }), { enum: ['yes'], type: 'string' });
+  assert.deepEqual(toGeminiSchema({
+    allOf: [{ properties: { a: { type: 'string' } }, required: ['a'] }, { properties: { b: { type: 'number' } }, required: ['b'] }],
+  }), {
+    type: 'object',
+    properties: { a: { type: 'string' }, b: { type: 'number' } },
+    required: ['a', 'b'],
+    propertyOrdering: ['a', 'b'],
+  });
+});
+
+test('schemas Gemini cannot represent raise a SchemaError with the location', () => {
+  const cases = [
+    [{ type: 'object', properties: { child: { $ref: '#' } } }, /recursive \$ref "#" cannot be represented \(at #\/properties\/child\)/],
+    [{ type: 'object', additionalProperties: { type: 'string' } }, /additionalProperties/],
+    [{ type: 'array', items: [{ type: 'string' }] }, /tuple arrays/],
+    [{ not: { type: 'string' } }, /"not" is not supported/],
+    [{ enum: [1, 2] }, /only string enum values/],
+    [{ $ref: 'https://example.com/schema.json' }, /external \$ref/],
+    [{ type: 'object', properties: { any: {} } }, /accept any value cannot be represented \(at #\/properties\/any\)/],
+  ];
+  for (const [schema, message] of cases) {
+    assert.throws(() => toGeminiSchema(schema), (err) => err instanceof SchemaError && message.test(err.message));
+  }
+});
+
+test('response_format is mapped to responseMimeType and responseSchema', async () => {
+  const calls = stubUpstream(() => json(geminiReply('{}')));
+  const schema = { type: 'object', properties: { answer: { type: 'string' } }, required: ['answer'], additionalProperties: false };
+  for (const [format, expected] of [
+    [{ type: 'json_object' }, { responseMimeType: 'application/json' }],
+    [{ type: 'text' }, { responseMimeType: 'text/plain' }],
+    [{ type: 'json_schema', json_schema: { name: 'answer', strict: true, schema } }, {
+      responseMimeType: 'application/json',
+      responseSchema: { type: 'object', properties: { answer: { type: 'string' } }, required: ['answer'], propertyOrdering: ['answer'] },
+    }],
+    [{ type: 'json_schema', json_schema: { name: 'mood', schema: { enum: ['happy', 'sad'] } } }, {
+      responseMimeType: 'text/x.enum',
+      responseSchema: { enum: ['happy', 'sad'], type: 'string' },
+    }],
+  ]) {
+    calls.length = 0;
+    const response = await chat(format);
+    assert.equal(response.status, 200);
+    await response.text();
+    assert.deepEqual(calls[0].body.generationConfig, expected);
+  }
+});
+
+test('a schema that cannot be represented is a 400 that names the schema', async () => {
+  const calls = stubUpstream(() => json(geminiReply('{}')));
+  const response = await chat({ type: 'json_schema', json_schema: { name: 'tree', schema: { type: 'array', items: [{ type: 'string' }] } } });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error.message, /^Invalid schema for response_format 'tree': tuple arrays/);
+
+  const missing = await chat({ type: 'json_schema', json_schema: { name: 'x' } });
+  assert.equal(missing.status, 400);
+  assert.match((await missing.json()).error.message, /json_schema\.schema is required/);
+  assert.equal(calls.length, 0);
+});
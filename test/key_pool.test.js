@@ -0,0 +1,190 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getKeyStates } from '../src/key_pool.js';
+import { geminiError, geminiReply, json, makeEnv, makeKey, request, stubUpstream } from './helpers.js';
+
+const generate = (env, model = 'gemini-2.5-flash') => request(`/v1beta/models/${model}:generateContent`, {
+  env,
+  body: { contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] },
+});
+
+const poolEnv = (keys, vars = {}) => makeEnv({ GEMINI_API_KEY_LIST: JSON.stringify(keys), ...vars });
+
+const quotaError = (retryDelay) => geminiError(429, 'Resource has been exhausted', {
+  status: 'RESOURCE_EXHAUSTED',
+  details: retryDelay && [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay }],
+});
+
+test('a key that returns 429 cools down and the request is retried on another key', async () => {
+  const [bad, good] = [makeKey(101), makeKey(102)];
+  const calls = stubUpstream(({ key }) => key === bad ? quotaError() : json(geminiReply('ok')));
+  const env = poolEnv([bad, good]);
+
+  for (let i = 0; i < 5; i++) {
+    const response = await generate(env);
+    assert.equal(response.status, 200);
+    await response.text();
+  }
+  assert.ok(calls.filter(call => call.key === bad).length <= 1, 'the failing key is not used again while cooling down');
+  assert.equal(calls.filter(call => call.key === good).length, 5);
+});
+
+test('cooldowns honour Retry-After and retryDelay hints', async () => {
+  const [header, detail, plain, good] = [makeKey(111), makeKey(112), makeKey(113), makeKey(114)];
+  stubUpstream(({ key }) => {
+    switch (key) {
+      case header: return geminiError(429, 'quota', { status: 'RESOURCE_EXHAUSTED', headers: { 'Retry-After': '120' } });
+      case detail: return quotaError('42s');
+      case plain: return quotaError();
+      default: return json(geminiReply('ok'));
+    }
+  });
+  const env = poolEnv([header, detail, plain, good], { GEMINI_KEY_COOLDOWN: '7', GEMINI_KEY_STRATEGY: 'round_robin' });
+  for (let i = 0; i < 4; i++) {
+    await (await generate(env)).text();
+  }
+  const states = Object.fromEntries(getKeyStates([header, detail, plain]).map((state, i) => [[header, detail, plain][i], state.models['gemini-2.5-flash']]));
+  assert.ok(states[header].cooldown_remaining > 110 && states[header].cooldown_remaining <= 120);
+  assert.ok(states[detail].cooldown_remaining > 35 && states[detail].cooldown_remaining <= 42);
+  assert.ok(states[plain].cooldown_remaining > 0 && states[plain].cooldown_remaining <= 7);
+});
+
+test('a 429 only cools the key down for the model that returned it', async () => {
+  const [limited, other] = [makeKey(161), makeKey(162)];
+  const calls = stubUpstream(({ key, path }) =>
+    key === limited && path.includes('gemini-2.5-pro') ? quotaError('30s') : json(geminiReply('ok')));
+  const env = poolEnv([limited, other], { GEMINI_KEY_STRATEGY: 'round_robin' });
+  for (let i = 0; i < 2; i++) {
+    assert.equal((await generate(env, 'gemini-2.5-pro')).status, 200);
+  }
+  const [state] = getKeyStates([limited]);
+  assert.equal(state.available, true);
+  assert.equal(state.cooldown_remaining, 0);
+  assert.deepEqual(Object.keys(state.models), ['gemini-2.5-pro']);
+  assert.equal(state.models['gemini-2.5-pro'].last_status, 429);
+
+  calls.length = 0;
+  for (const model of ['gemini-2.5-flash', 'gemini-2.5-flash', 'gemini-2.5-pro', 'gemini-2.5-pro']) {
+    assert.equal((await generate(env, model)).status, 200);
+  }
+  const keysFor = (model) => new Set(calls.filter(call => call.path.includes(`/${model}:`)).map(call => call.key));
+  assert.deepEqual(keysFor('gemini-2.5-flash'), new Set([limited, other]), 'the key still serves other models');
+  assert.deepEqual(keysFor('gemini-2.5-pro'), new Set([other]));
+
+  const health = await (await request('/health', { env, method: 'GET' })).json();
+  assert.equal(health.api_keys_available, 2);
+});
+
+test('a 403 cools the key down for every model', async () => {
+  const [forbidden, other] = [makeKey(171), makeKey(172)];
+  const calls = stubUpstream(({ key }) => key === forbidden
+    ? geminiError(403, 'Permission denied', { status: 'PERMISSION_DENIED' })
+    : json(geminiReply('ok')));
+  const env = poolEnv([forbidden, other], { GEMINI_KEY_STRATEGY: 'round_robin' });
+  for (let i = 0; i < 2; i++) {
+    await (await generate(env, 'gemini-2.5-pro')).text();
+  }
+  assert.equal(getKeyStates([forbidden])[0].available, false);
+  calls.length = 0;
+  for (let i = 0; i < 3; i++) {
+    await (await generate(env, 'gemini-2.5-flash')).text();
+  }
+  assert.deepEqual(calls.map(call => call.key), [other, other, other]);
+  assert.equal((await (await request('/health', { env, method: 'GET' })).json()).api_keys_available, 1);
+});
+
+test('invalid keys are cooled down for an hour; other 400 errors are returned without retrying', async () => {
+  const [invalid, good] = [makeKey(121), makeKey(122)];
+  const calls = stubUpstream(({ key, body }) => {
+    if (key === invalid) {
+      return geminiError(400, 'API key not valid. Please pass a valid API key.', {
+        status: 'INVALID_ARGUMENT',
+        details: [{ reason: 'API_KEY_INVALID' }],
+      });
+    }
+    return body.contents ? json(geminiReply('ok')) : geminiError(400, 'contents is required', { status: 'INVALID_ARGUMENT' });
+  });
+  // 轮询保证前几次请求一定会选到失效的 Key
+  const env = poolEnv([invalid, good], { GEMINI_KEY_STRATEGY: 'round_robin' });
+  for (let i = 0; i < 3; i++) {
+    await (await generate(env)).text();
+  }
+  const [state] = getKeyStates([invalid]);
+  assert.equal(state.available, false);
+  assert.ok(state.cooldown_remaining > 3500);
+
+  calls.length = 0;
+  const response = await request('/v1beta/models/gemini-2.5-flash:generateContent', { env, body: {} });
+  assert.equal(response.status, 400);
+  await response.text();
+  assert.equal(calls.length, 1, 'request errors are not retried on another key');
+  assert.equal(getKeyStates([good])[0].available, true);
+});
+
+test('retries stop after GEMINI_MAX_RETRIES and the last error is returned', async () => {
+  const keys = [makeKey(131), makeKey(132), makeKey(133), makeKey(134)];
+  const calls = stubUpstream(() => quotaError());
+  const response = await generate(poolEnv(keys, { GEMINI_MAX_RETRIES: '2' }));
+  assert.equal(response.status, 429);
+  assert.equal((await response.json()).error.status, 'RESOURCE_EXHAUSTED');
+  assert.equal(calls.length, 3);
+  assert.equal(new Set(calls.map(call => call.key)).size, 3, 'each retry uses a different key');
+});
+
+test('server errors are not treated as key failures', async () => {
+  const key = makeKey(141);
+  const calls = stubUpstream(() => geminiError(500, 'Internal error', { status: 'INTERNAL' }));
+  const response = await generate(poolEnv([key, makeKey(142)]));
+  assert.equal(response.status, 500);
+  await response.text();
+  assert.equal(calls.length, 1);
+  assert.equal(getKeyStates([calls[0].key])[0].available, true);
+});
+
+test('when every key is cooling down the one that recovers first is used', async () => {
+  const [soon, later] = [makeKey(151), makeKey(152)];
+  let fail = true;
+  const calls = stubUpstream(({ key }) => {
+    if (fail) {
+      return geminiError(429, 'quota', { status: 'RESOURCE_EXHAUSTED', headers: { 'Retry-After': key === soon ? '5' : '50' } });
+    }
+    return json(geminiReply('ok'));
+  });
+  const env = poolEnv([soon, later]);
+  await (await generate(env)).text();
+  fail = false;
+  calls.length = 0;
+  const response = await generate(env);
+  assert.equal(response.status, 200);
+  await response.text();
+  assert.deepEqual(calls.map(call => call.key), [soon]);
+});
+
+test('records of caller-supplied keys are swept once their cooldown is over', async () => {
+  const [poolKey, callerKey, spare] = [makeKey(191), makeKey(192), makeKey(193)];
+  const forbidden = () => geminiError(403, 'Permission denied', { status: 'PERMISSION_DENIED' });
+  stubUpstream(({ key }) => key === spare ? json(geminiReply('ok')) : forbidden());
+  const env = poolEnv([poolKey], { GEMINI_MAX_RETRIES: '0' });
+  await (await generate(env)).text();
+  const fromCaller = await request('/v1beta/models/gemini-2.5-flash:generateContent', {
+    env, headers: { 'x-goog-api-key': callerKey }, body: { contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] },
+  });
+  await fromCaller.text();
+  assert.deepEqual(getKeyStates([poolKey, callerKey]).map(state => state.failures), [1, 1]);
+
+  const realNow = Date.now;
+  Date.now = () => realNow() + 2 * 60 * 1000;
+  try {
+    const later = await request('/v1beta/models/gemini-2.5-flash:generateContent', {
+      env, headers: { 'x-goog-api-key': spare }, body: { contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] },
+    });
+    assert.equal(later.status, 200);
+    await later.text();
+    const [pool, caller] = getKeyStates([poolKey, callerKey]);
+    assert.equal(pool.failures, 1, 'pool keys keep their failure count for /stats');
+    assert.equal(pool.available, true);
+    assert.equal(caller.failures, 0);
+  } finally {
+    Date.now = realNow;
+  }
+});
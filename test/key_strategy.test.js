@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { geminiError, geminiReply, json, makeEnv, makeKey, request, stubUpstream } from './helpers.js';
+
+const send = async (env, client) => {
+  const response = await request('/v1beta/models/gemini-2.5-flash:generateContent', {
+    env,
+    headers: client ? { Authorization: `Bearer ${client}` } : {},
+    body: { contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] },
+  });
+  await response.text();
+  return response;
+};
+
+const strategyEnv = (strategy, keys, vars = {}) => makeEnv({
+  GEMINI_KEY_STRATEGY: strategy,
+  GEMINI_API_KEY_LIST: JSON.stringify(keys),
+  ...vars,
+});
+
+test('round_robin cycles through the keys in order', async () => {
+  const keys = [makeKey(201), makeKey(202), makeKey(203)];
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  const env = strategyEnv('round_robin', keys);
+  for (let i = 0; i < 6; i++) {
+    await send(env);
+  }
+  const used = calls.map(call => keys.indexOf(call.key));
+  assert.deepEqual(used.slice(3), used.slice(0, 3));
+  assert.deepEqual([...used.slice(0, 3)].sort(), [0, 1, 2]);
+});
+
+test('weighted selection follows GEMINI_KEY_WEIGHTS as an array or an object', async () => {
+  const keys = [makeKey(211), makeKey(212), makeKey(213)];
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  for (const weights of [[0, 1, 0], { [keys[0]]: 0, [keys[2]]: 0 }]) {
+    calls.length = 0;
+    const env = strategyEnv('weighted', keys, { GEMINI_KEY_WEIGHTS: JSON.stringify(weights) });
+    for (let i = 0; i < 10; i++) {
+      await send(env);
+    }
+    assert.ok(calls.every(call => call.key === keys[1]));
+  }
+});
+
+test('lru picks the least recently used key', async () => {
+  const keys = [makeKey(221), makeKey(222), makeKey(223)];
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  const env = strategyEnv('lru', keys);
+  for (let i = 0; i < 6; i++) {
+    await send(env);
+  }
+  const used = calls.map(call => call.key);
+  assert.equal(new Set(used.slice(0, 3)).size, 3);
+  assert.deepEqual(used.slice(3), used.slice(0, 3));
+});
+
+test('sticky keeps one client on the same key and moves on when that key cools down', async () => {
+  const keys = [makeKey(231), makeKey(232), makeKey(233), makeKey(234)];
+  let failing;
+  const calls = stubUpstream(({ key }) => key === failing ? geminiError(429, 'quota', { status: 'RESOURCE_EXHAUSTED' }) : json(geminiReply('ok')));
+  const env = strategyEnv('sticky', keys);
+  for (let i = 0; i < 5; i++) {
+    await send(env, 'client-a');
+  }
+  const stickyKey = calls[0].key;
+  assert.ok(calls.every(call => call.key === stickyKey));
+
+  const clients = Array.from({ length: 20 }, (_, i) => `client-${i}`);
+  calls.length = 0;
+  for (const client of clients) {
+    await send(env, client);
+  }
+  assert.ok(new Set(calls.map(call => call.key)).size > 1, 'different clients are spread across keys');
+
+  failing = stickyKey;
+  calls.length = 0;
+  assert.equal((await send(env, 'client-a')).status, 200);
+  assert.equal((await send(env, 'client-a')).status, 200);
+  const next = keys[(keys.indexOf(stickyKey) + 1) % keys.length];
+  assert.deepEqual(calls.map(call => call.key), [stickyKey, next, next]);
+});
+
+test('the strategy also applies to the OpenAI route', async () => {
+  const keys = [makeKey(241), makeKey(242)];
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  const env = strategyEnv('round_robin', keys);
+  for (let i = 0; i < 4; i++) {
+    const response = await request('/v1/chat/completions', {
+      env,
+      headers: { Authorization: 'Bearer client-token' },
+      body: { model: 'gemini-2.5-flash', messages: [{ role: 'user', content: 'Hi' }] },
+    });
+    await response.text();
+  }
+  const used = calls.map(call => call.key);
+  assert.notEqual(used[0], used[1]);
+  assert.deepEqual(used.slice(2), used.slice(0, 2));
+});
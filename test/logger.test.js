@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { maskKey } from '../src/logger.js';
+import { geminiReply, json, makeEnv, makeKey, request, stubUpstream } from './helpers.js';
+
+// 收集 console 输出，返回每次调用的参数
+const captureConsole = (t) => {
+  const lines = [];
+  for (const method of ['log', 'warn', 'error']) {
+    t.mock.method(console, method, (...args) => lines.push(args));
+  }
+  return lines;
+};
+
+const key = makeKey(701);
+
+const generate = (env, headers = {}) => request('/v1beta/models/gemini-2.5-flash:generateContent', {
+  env,
+  headers,
+  body: { contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] },
+});
+
+test('maskKey keeps only the first and last seven characters', () => {
+  assert.equal(maskKey('AIzaSyA-0123456789-abcdefghij-3kQ8xYz'), 'AIzaSyA......3kQ8xYz');
+});
+
+test('JSON logs carry the request id, upstream status and latency, and never a full key', async (t) => {
+  const lines = captureConsole(t);
+  stubUpstream(() => json(geminiReply('ok')));
+  const env = makeEnv({ GEMINI_API_KEY_LIST: JSON.stringify([key]), LOG_LEVEL: 'debug', LOG_FORMAT: 'json' });
+  const response = await generate(env, { 'x-request-id': 'req-123' });
+  await response.text();
+  t.mock.restoreAll();
+
+  assert.equal(response.headers.get('x-request-id'), 'req-123');
+  const entries = lines.map(([line]) => JSON.parse(line));
+  assert.ok(entries.length > 0);
+  assert.ok(entries.every(entry => entry.request_id === 'req-123' && entry.level && entry.time && entry.message));
+  const upstream = entries.find(entry => entry.message.includes('Upstream response'));
+  assert.equal(upstream.status, 200);
+  assert.equal(typeof upstream.latency_ms, 'number');
+  assert.equal(upstream.key, maskKey(key));
+  assert.ok(!lines.flat().join('\n').includes(key), 'the full key is never logged');
+});
+
+test('a request id is generated when the caller does not send one', async (t) => {
+  captureConsole(t);
+  stubUpstream(() => json(geminiReply('ok')));
+  const response = await generate(makeEnv({ GEMINI_API_KEY_LIST: JSON.stringify([key]) }));
+  await response.text();
+  assert.match(response.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+});
+
+test('LOG_LEVEL=warn silences per-request logs', async (t) => {
+  const lines = captureConsole(t);
+  stubUpstream(() => json(geminiReply('ok')));
+  const response = await generate(makeEnv({ GEMINI_API_KEY_LIST: JSON.stringify([key]), LOG_LEVEL: 'warn' }));
+  await response.text();
+  t.mock.restoreAll();
+  assert.deepEqual(lines, []);
+});
+
+test('text logs prefix the level and request id', async (t) => {
+  const lines = captureConsole(t);
+  stubUpstream(() => json(geminiReply('ok')));
+  const response = await generate(makeEnv({ GEMINI_API_KEY_LIST: JSON.stringify([key]), LOG_LEVEL: 'info' }), { 'x-request-id': 'req-text' });
+  await response.text();
+  t.mock.restoreAll();
+  assert.ok(lines.length > 0);
+  assert.ok(lines.every(([line]) => /^\[(INFO|WARN|ERROR)\] \[req-text\] /.test(line)));
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { geminiReply, json, makeEnv, request, stubUpstream } from './helpers.js';
+
+const auth = { Authorization: 'Bearer client-token' };
+const png = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 1, 2, 3]);
+
+// 上游桩: Gemini 请求返回固定回复，其他 URL 交给 media(call)
+const stub = (media = () => new Response(png)) => stubUpstream((call) =>
+  call.url.startsWith('https://generativelanguage.googleapis.com/') ? json(geminiReply('ok')) : media(call));
+
+const chat = (content, env) => request('/v1/chat/completions', {
+  env, headers: auth, body: { model: 'gemini-2.5-flash', messages: [{ role: 'user', content }] },
+});
+
+const image = (url) => [{ type: 'text', text: 'What is this?' }, { type: 'image_url', image_url: { url } }];
+
+const geminiCall = (calls) => calls.find(call => call.url.includes('generativelanguage'));
+
+test('data: URLs, audio and files become inlineData parts', async () => {
+  const calls = stub();
+  const response = await chat([
+    { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${png.toString('base64')}` } },
+    { type: 'input_audio', input_audio: { data: 'AAAA', format: 'mp3' } },
+    { type: 'file', file: { filename: 'notes.pdf', file_data: Buffer.from('%PDF-1.7').toString('base64') } },
+  ]);
+  assert.equal(response.status, 200);
+  await response.text();
+  assert.deepEqual(geminiCall(calls).body.contents[0].parts, [
+    { inlineData: { mimeType: 'image/jpeg', data: png.toString('base64') } },
+    { inlineData: { mimeType: 'audio/mp3', data: 'AAAA' } },
+    { inlineData: { mimeType: 'application/pdf', data: Buffer.from('%PDF-1.7').toString('base64') } },
+    { text: '' },
+  ]);
+});
+
+test('remote images are downloaded and their type is sniffed when the server does not send one', async () => {
+  const calls = stub(() => new Response(png, { headers: { 'Content-Type': 'application/octet-stream' } }));
+  const response = await chat(image('https://images.example.com/shot'));
+  assert.equal(response.status, 200);
+  await response.text();
+  assert.equal(calls[0].url, 'https://images.example.com/shot');
+  assert.deepEqual(geminiCall(calls).body.contents[0].parts[1], { inlineData: { mimeType: 'image/png', data: png.toString('base64') } });
+});
+
+test('media over MEDIA_MAX_BYTES is rejected with a 413', async () => {
+  const calls = stub(() => new Response(new Uint8Array(64)));
+  const env = makeEnv({ MEDIA_MAX_BYTES: '40' });
+  const single = await chat(image('https://images.example.com/big.png'), env);
+  assert.equal(single.status, 413);
+  assert.match((await single.json()).error.message, /image is too large/);
+
+  const data = Buffer.alloc(24).toString('base64');
+  const total = await chat([
+    { type: 'image_url', image_url: { url: `data:image/png;base64,${data}` } },
+    { type: 'image_url', image_url: { url: `data:image/png;base64,${data}` } },
+  ], env);
+  assert.equal(total.status, 413);
+  assert.match((await total.json()).error.message, /Total size of images, audio and files/);
+  assert.equal(geminiCall(calls), undefined);
+});
+
+test('URLs that point at loopback, private or link-local hosts are not fetched', async () => {
+  const calls = stub();
+  const urls = [
+    'http://localhost:8080/a.png',
+    'http://api.localhost/a.png',
+    'http://127.0.0.1/a.png',
+    'http://127.1/a.png',
+    'http://2130706433/a.png',
+    'http://10.1.2.3/a.png',
+    'http://172.20.0.1/a.png',
+    'http://192.168.1.1/a.png',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://metadata.google.internal/computeMetadata/v1/',
+    'http://0.0.0.0/a.png',
+    'http://[::1]/a.png',
+    'http://[::ffff:127.0.0.1]/a.png',
+    'http://[fe80::1]/a.png',
+    'http://[fd00::1]/a.png',
+    'http://intranet/a.png',
+  ];
+  for (const url of urls) {
+    const response = await chat(image(url));
+    assert.equal(response.status, 400, url);
+    assert.match((await response.json()).error.message, /must point to a public host/, url);
+  }
+  assert.equal(calls.length, 0);
+});
+
+test('redirects are followed only to public hosts', async () => {
+  const calls = stub(({ url }) => url.includes('/go-private')
+    ? new Response(null, { status: 302, headers: { Location: 'http://169.254.169.254/latest/meta-data/' } })
+    : url.includes('/go-public')
+      ? new Response(null, { status: 301, headers: { Location: '/final.png' } })
+      : new Response(png, { headers: { 'Content-Type': 'image/png' } }));
+
+  const blocked = await chat(image('https://images.example.com/go-private'));
+  assert.equal(blocked.status, 400);
+  assert.match((await blocked.json()).error.message, /must point to a public host \(got 169\.254\.169\.254\)/);
+  assert.deepEqual(calls.map(call => call.url), ['https://images.example.com/go-private']);
+
+  calls.length = 0;
+  const followed = await chat(image('https://images.example.com/go-public'));
+  assert.equal(followed.status, 200);
+  await followed.text();
+  assert.deepEqual(calls.slice(0, 2).map(call => call.url), ['https://images.example.com/go-public', 'https://images.example.com/final.png']);
+});
+
+test('MEDIA_REMOTE_FETCH=false rejects remote URLs but still accepts data: URLs', async () => {
+  const calls = stub();
+  const env = makeEnv({ MEDIA_REMOTE_FETCH: 'false' });
+  const remote = await chat(image('https://images.example.com/shot.png'), env);
+  assert.equal(remote.status, 400);
+  assert.match((await remote.json()).error.message, /remote URLs is disabled/);
+  assert.equal(calls.length, 0);
+
+  const inline = await chat(image(`data:image/png;base64,${png.toString('base64')}`), env);
+  assert.equal(inline.status, 200);
+  await inline.text();
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { maskKey } from '../src/logger.js';
+import { hashString } from '../src/key_pool.js';
+import { MAX_SERIES, getStats, recordUpstream } from '../src/metrics.js';
+import { geminiError, geminiReply, json, makeEnv, makeKey, request, sse, stubUpstream } from './helpers.js';
+
+const key = makeKey(801);
+const tokens = ['team-alpha-42', 'bob-secret-token-xyz'];
+const env = makeEnv({ GEMINI_API_KEY_LIST: JSON.stringify([key]), PROXY_ACCESS_TOKENS: tokens.join(','), GEMINI_MAX_RETRIES: '0' });
+
+const usage = { promptTokenCount: 11, candidatesTokenCount: 4, thoughtsTokenCount: 2, totalTokenCount: 17 };
+
+const send = async (token, path, body) => {
+  const response = await request(path, { env, headers: { Authorization: `Bearer ${token}` }, body });
+  await response.text();
+  return response;
+};
+
+const read = async (path) => {
+  const response = await request(path, { env, method: 'GET', headers: { Authorization: `Bearer ${tokens[0]}` } });
+  assert.equal(response.status, 200);
+  return response.text();
+};
+
+test('usage is recorded per key, model and client and exposed at /stats and /metrics', async () => {
+  let fail = false;
+  stubUpstream(({ path }) => {
+    if (fail) {
+      return geminiError(500, 'boom', { status: 'INTERNAL' });
+    }
+    return path.includes('stream') ? sse([geminiReply('ok', { usage })]) : json(geminiReply('ok', { usage }));
+  });
+  const body = { contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] };
+  await send(tokens[0], '/v1beta/models/gemini-2.5-flash:generateContent', body);
+  await send(tokens[0], '/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse', body);
+  await send(tokens[1], '/v1/chat/completions', { model: 'gemini-2.5-pro', messages: [{ role: 'user', content: 'Hi' }] });
+  fail = true;
+  await send(tokens[1], '/v1beta/models/gemini-2.5-pro:generateContent', body);
+
+  const stats = JSON.parse(await read('/stats'));
+  const keyStats = stats.keys[maskKey(key)];
+  assert.equal(keyStats.requests, 4);
+  assert.equal(keyStats.prompt_tokens, 33);
+  assert.equal(keyStats.completion_tokens, 18);
+  assert.deepEqual(keyStats.errors, { 500: 1 });
+  assert.equal(keyStats.health.available, true);
+  assert.equal(stats.models['gemini-2.5-flash'].requests, 2);
+  assert.equal(stats.models['gemini-2.5-pro'].requests, 2);
+  const clients = Object.values(stats.clients);
+  assert.deepEqual(clients.map(client => client.requests).sort(), [2, 2]);
+  assert.ok(clients.every(client => ['avg', 'p50', 'p95'].every(name => typeof client.latency_ms[name] === 'number')));
+
+  const metrics = await read('/metrics');
+  assert.match(metrics, /^# TYPE gemini_proxy_requests_total counter$/m);
+  assert.match(metrics, /^gemini_proxy_requests_total\{key="AIza000\.\.\.\.\.\.0000801",model="gemini-2\.5-pro",client="client-[0-9a-f]{8}",status="500"\} 1$/m);
+  assert.match(metrics, /^gemini_proxy_tokens_total\{.*model="gemini-2\.5-flash".*type="prompt"\} 22$/m);
+  assert.match(metrics, /^gemini_proxy_upstream_latency_seconds_bucket\{.*le="\+Inf"\} \d+$/m);
+  assert.match(metrics, /^gemini_proxy_upstream_latency_seconds_count\{.*\} \d+$/m);
+});
+
+test('client labels do not contain any part of the caller token', async () => {
+  stubUpstream(() => json(geminiReply('ok', { usage })));
+  for (const token of tokens) {
+    await send(token, '/v1beta/models/gemini-2.5-flash:generateContent', { contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] });
+  }
+  const output = (await read('/stats')) + (await read('/metrics'));
+  for (const token of tokens) {
+    for (let i = 0; i + 6 <= token.length; i++) {
+      const fragment = token.slice(i, i + 6);
+      assert.ok(!output.includes(fragment), `"${fragment}" from a client token appears in the output`);
+    }
+  }
+  const labels = new Set(output.match(/client-[0-9a-f]{8}/g));
+  assert.equal(labels.size, 2, 'each client token gets its own stable label');
+});
+
+test('the least recently updated series are dropped beyond MAX_SERIES', () => {
+  const labels = (i) => ({ key: makeKey(810), model: 'gemini-2.5-flash', client: `caller-${i}` });
+  recordUpstream(labels(0), 200, 10);
+  for (let i = 1; i <= MAX_SERIES; i++) {
+    recordUpstream(labels(i), 200, 10);
+    if (i === MAX_SERIES / 2) {
+      recordUpstream(labels(0), 200, 10);
+    }
+  }
+  const { clients } = getStats();
+  const label = (i) => 'client-' + hashString(`caller-${i}`).toString(16).padStart(8, '0');
+  assert.ok(Object.keys(clients).length <= MAX_SERIES);
+  assert.equal(clients[label(0)].requests, 2, 'a recently updated series is kept');
+  assert.equal(clients[label(1)], undefined, 'the least recently updated series is dropped');
+  assert.equal(clients[label(MAX_SERIES)].requests, 1);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { geminiReply, json, makeEnv, request, stubUpstream } from './helpers.js';
+
+const auth = { Authorization: 'Bearer client-token' };
+
+const chat = async (model, env) => {
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  const response = await request('/v1/chat/completions', { env, headers: auth, body: { model, messages: [{ role: 'user', content: 'Hi' }] } });
+  assert.equal(response.status, 200);
+  await response.text();
+  return calls[0];
+};
+
+const embed = async (model, env) => {
+  const calls = stubUpstream(() => json({ embeddings: [{ values: [0.5] }] }));
+  const response = await request('/v1/embeddings', { env, headers: auth, body: { model, input: 'Hi' } });
+  assert.equal(response.status, 200);
+  await response.text();
+  return calls[0];
+};
+
+test('built-in aliases map OpenAI chat model names to Gemini models', async () => {
+  const cases = {
+    'gpt-4o': 'gemini-2.5-flash',
+    'gpt-4o-mini-2024-07-18': 'gemini-2.5-flash-lite',
+    'gpt-4.1': 'gemini-2.5-pro',
+    'o3-mini': 'gemini-2.5-flash',
+    'claude-3-5-haiku-latest': 'gemini-2.5-flash',
+    'gemini-2.5-pro': 'gemini-2.5-pro',
+    'models/gemini-2.5-flash-lite': 'gemini-2.5-flash-lite',
+    'some-unknown-model': 'gemini-2.0-flash',
+  };
+  for (const [name, model] of Object.entries(cases)) {
+    assert.equal((await chat(name)).path, `/v1beta/models/${model}:generateContent`, name);
+  }
+});
+
+test('OpenAI embedding model names resolve to gemini-embedding-001', async () => {
+  for (const name of ['text-embedding-3-small', 'text-embedding-3-large', 'text-embedding-ada-002', 'unknown-embedder']) {
+    const call = await embed(name);
+    assert.equal(call.path, '/v1beta/models/gemini-embedding-001:batchEmbedContents', name);
+    assert.equal(call.body.requests[0].model, 'models/gemini-embedding-001');
+  }
+  assert.equal((await embed('text-embedding-004')).path, '/v1beta/models/text-embedding-004:batchEmbedContents');
+});
+
+test('MODEL_ALIASES overrides the built-in table, supports wildcards and per-alias defaults', async () => {
+  const env = makeEnv({
+    MODEL_ALIASES: JSON.stringify({
+      'gpt-4o': 'gemini-2.5-pro',
+      'team-*': { model: 'models/gemini-2.5-flash-lite', defaults: { temperature: 0.2, max_tokens: 64 } },
+      'my-embedder': 'gemini-embedding-001',
+    }),
+  });
+  assert.equal((await chat('gpt-4o', env)).path, '/v1beta/models/gemini-2.5-pro:generateContent');
+
+  const aliased = await chat('team-fast', env);
+  assert.equal(aliased.path, '/v1beta/models/gemini-2.5-flash-lite:generateContent');
+  assert.deepEqual(aliased.body.generationConfig, { temperature: 0.2, maxOutputTokens: 64 });
+
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  const response = await request('/v1/chat/completions', {
+    env, headers: auth, body: { model: 'team-fast', temperature: 1, messages: [{ role: 'user', content: 'Hi' }] },
+  });
+  await response.text();
+  assert.equal(calls[0].body.generationConfig.temperature, 1, 'request parameters win over alias defaults');
+
+  assert.equal((await embed('my-embedder', env)).path, '/v1beta/models/gemini-embedding-001:batchEmbedContents');
+});
+
+test('aliases apply to legacy completions too', async () => {
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  const response = await request('/v1/completions', { headers: auth, body: { model: 'gpt-3.5-turbo-instruct', prompt: 'Hi' } });
+  assert.equal(response.status, 200);
+  await response.text();
+  assert.equal(calls[0].path, '/v1beta/models/gemini-2.0-flash:generateContent');
+});
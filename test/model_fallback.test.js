@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { geminiError, geminiReply, json, makeEnv, makeKey, request, stubUpstream } from './helpers.js';
+
+const auth = { Authorization: 'Bearer client-token' };
+const prompt = { contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] };
+const fallbacks = JSON.stringify({ 'gemini-2.5-pro': ['gemini-2.5-flash', 'gemini-2.5-flash-lite'] });
+
+// 每个测试使用不同的 Key，429 冷却互不影响
+const fallbackEnv = (n) => makeEnv({
+  GEMINI_API_KEY_LIST: JSON.stringify([makeKey(n), makeKey(n + 1)]),
+  MODEL_FALLBACKS: fallbacks,
+});
+
+const modelOf = (call) => call.path.match(/\/models\/([^/:]+):/)[1];
+
+// 按模型返回响应: outcomes[model]() ，未列出的模型返回成功
+const stubModels = (outcomes) => stubUpstream((call) => {
+  const model = modelOf(call);
+  return outcomes[model]?.() ?? json(geminiReply(`from ${model}`, { modelVersion: model }));
+});
+
+const exhausted = () => geminiError(429, 'Resource has been exhausted', { status: 'RESOURCE_EXHAUSTED' });
+const overloaded = () => geminiError(503, 'The model is overloaded.', { status: 'UNAVAILABLE' });
+
+const triedModels = (calls) => [...new Set(calls.map(modelOf))];
+
+test('native generateContent falls back on 429 and 503 in the configured order', async () => {
+  const calls = stubModels({ 'gemini-2.5-pro': exhausted, 'gemini-2.5-flash': overloaded });
+  const response = await request('/v1beta/models/gemini-2.5-pro:generateContent', {
+    env: fallbackEnv(701), headers: auth, body: prompt,
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('x-proxy-model'), 'gemini-2.5-flash-lite');
+  const result = await response.json();
+  assert.equal(result.candidates[0].content.parts[0].text, 'from gemini-2.5-flash-lite');
+  assert.equal(result.modelVersion, 'gemini-2.5-flash-lite');
+  assert.deepEqual(triedModels(calls), ['gemini-2.5-pro', 'gemini-2.5-flash', 'gemini-2.5-flash-lite']);
+  assert.ok(calls.slice(0, -1).every(call => modelOf(call) !== 'gemini-2.5-flash-lite'));
+});
+
+test('other errors are returned without falling back', async () => {
+  const calls = stubModels({ 'gemini-2.5-pro': () => geminiError(400, 'Bad request', { status: 'INVALID_ARGUMENT' }) });
+  const response = await request('/v1beta/models/gemini-2.5-pro:generateContent', {
+    env: fallbackEnv(703), headers: auth, body: prompt,
+  });
+  assert.equal(response.status, 400);
+  assert.equal(response.headers.get('x-proxy-model'), 'gemini-2.5-pro');
+  await response.text();
+  assert.deepEqual(triedModels(calls), ['gemini-2.5-pro']);
+});
+
+test('when every model fails the error of the last model is returned', async () => {
+  const calls = stubModels({
+    'gemini-2.5-pro': exhausted,
+    'gemini-2.5-flash': exhausted,
+    'gemini-2.5-flash-lite': () => geminiError(503, 'flash-lite is overloaded', { status: 'UNAVAILABLE' }),
+  });
+  const response = await request('/v1beta/models/gemini-2.5-pro:generateContent', {
+    env: fallbackEnv(705), headers: auth, body: prompt,
+  });
+  assert.equal(response.status, 503);
+  assert.equal(response.headers.get('x-proxy-model'), 'gemini-2.5-flash-lite');
+  assert.equal((await response.json()).error.message, 'flash-lite is overloaded');
+  assert.deepEqual(triedModels(calls), ['gemini-2.5-pro', 'gemini-2.5-flash', 'gemini-2.5-flash-lite']);
+});
+
+test('chat completions fall back too and report the model that answered', async () => {
+  const calls = stubModels({ 'gemini-2.5-pro': overloaded });
+  const response = await request('/v1/chat/completions', {
+    env: fallbackEnv(707), headers: auth,
+    body: { model: 'gemini-2.5-pro', messages: [{ role: 'user', content: 'Hi' }] },
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('x-proxy-model'), 'gemini-2.5-flash');
+  const result = await response.json();
+  assert.equal(result.model, 'gemini-2.5-flash');
+  assert.equal(result.choices[0].message.content, 'from gemini-2.5-flash');
+  assert.deepEqual(triedModels(calls), ['gemini-2.5-pro', 'gemini-2.5-flash']);
+
+  const retried = stubModels({
+    'gemini-2.5-pro': overloaded,
+    'gemini-2.5-flash': overloaded,
+    'gemini-2.5-flash-lite': () => geminiError(429, 'flash-lite quota exhausted', { status: 'RESOURCE_EXHAUSTED' }),
+  });
+  const failed = await request('/v1/chat/completions', {
+    env: fallbackEnv(709), headers: auth,
+    body: { model: 'gemini-2.5-pro', messages: [{ role: 'user', content: 'Hi' }] },
+  });
+  assert.equal(failed.status, 429);
+  assert.deepEqual((await failed.json()).error, { message: 'flash-lite quota exhausted', type: 'rate_limit_error', code: 'RESOURCE_EXHAUSTED' });
+  assert.deepEqual(triedModels(retried), ['gemini-2.5-pro', 'gemini-2.5-flash', 'gemini-2.5-flash-lite']);
+});
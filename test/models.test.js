@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { geminiError, json, makeEnv, request, stubUpstream } from './helpers.js';
+
+const auth = { Authorization: 'Bearer client-token' };
+
+const pages = [
+  {
+    models: [
+      { name: 'models/gemini-2.5-flash', supportedGenerationMethods: ['generateContent', 'countTokens'] },
+      { name: 'models/aqa', supportedGenerationMethods: ['generateAnswer'] },
+    ],
+    nextPageToken: 'page 2',
+  },
+  {
+    models: [
+      { name: 'models/gemini-embedding-001', supportedGenerationMethods: ['embedContent'] },
+      { name: 'models/imagen-3.0-generate-002', supportedGenerationMethods: ['predict'] },
+    ],
+  },
+];
+
+const catalogue = () => stubUpstream(({ path }) => json(path.includes('pageToken') ? pages[1] : pages[0]));
+
+const get = (path, env) => request(path, { env, method: 'GET', headers: auth });
+
+// 模型目录缓存是模块级的，先测试拉取失败（失败不会被缓存）
+test('an upstream failure is returned in OpenAI error format', async () => {
+  stubUpstream(() => geminiError(500, 'backend error', { status: 'INTERNAL' }));
+  const response = await get('/v1/models');
+  assert.equal(response.status, 500);
+  assert.equal((await response.json()).error.message, 'backend error');
+});
+
+test('/v1/models lists usable Gemini models from every page plus the configured aliases', async () => {
+  const calls = catalogue();
+  const env = makeEnv({ MODEL_ALIASES: JSON.stringify({ 'my-model': 'gemini-2.5-flash', 'gemini-2.5-flash': 'gemini-2.5-pro', 'team-*': 'gemini-2.5-pro' }) });
+  const response = await get('/v1/models', env);
+  assert.equal(response.status, 200);
+  const { object, data } = await response.json();
+  assert.equal(object, 'list');
+  assert.deepEqual(calls.map(call => call.path), [
+    '/v1beta/models?pageSize=1000',
+    '/v1beta/models?pageSize=1000&pageToken=page%202',
+  ]);
+
+  const ids = data.map(model => model.id);
+  assert.deepEqual(ids.slice(0, 2), ['gemini-2.5-flash', 'gemini-embedding-001']);
+  assert.ok(!ids.includes('aqa') && !ids.includes('imagen-3.0-generate-002'));
+  assert.equal(ids.filter(id => id === 'gemini-2.5-flash').length, 1, 'a model wins over an alias of the same name');
+  assert.deepEqual(data.find(model => model.id === 'my-model'), { id: 'my-model', object: 'model', created: 0, owned_by: 'google', root: 'gemini-2.5-flash' });
+  assert.ok(ids.includes('gpt-4o'), 'built-in aliases ending in * are listed without the wildcard');
+  assert.ok(!ids.some(id => id.startsWith('team')), 'wildcard-only aliases are not listed');
+  assert.ok(data.every(model => model.object === 'model'));
+});
+
+test('the catalogue is cached for MODELS_CACHE_TTL and shared by the detail route', async () => {
+  const calls = catalogue();
+  for (const path of ['/v1/models', '/models', '/v1/models/gemini-2.5-flash']) {
+    assert.equal((await get(path)).status, 200);
+  }
+  assert.equal(calls.length, 0);
+});
+
+test('/v1/models/{id} returns one model, an alias, or a 404', async () => {
+  catalogue();
+  assert.deepEqual(await (await get('/v1/models/models%2Fgemini-embedding-001')).json(), {
+    id: 'gemini-embedding-001', object: 'model', created: 0, owned_by: 'google',
+  });
+  assert.equal((await (await get('/v1/models/gpt-4o')).json()).root, 'gemini-2.5-flash');
+
+  const missing = await get('/v1/models/gemini-9');
+  assert.equal(missing.status, 404);
+  assert.deepEqual((await missing.json()).error, {
+    message: "The model 'gemini-9' does not exist",
+    type: 'invalid_request_error',
+    param: 'model',
+    code: 'model_not_found',
+  });
+});
@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { geminiError, geminiReply, json, makeKey, request, stubUpstream } from './helpers.js';
+
+const auth = { Authorization: 'Bearer client-token' };
+
+test('chat messages are translated to Gemini contents and system instruction', async () => {
+  const calls = stubUpstream(() => json(geminiReply('hi')));
+  const response = await request('/v1/chat/completions', {
+    headers: auth,
+    body: {
+      model: 'gemini-2.5-flash',
+      temperature: 0.3,
+      max_tokens: 100,
+      stop: ['END'],
+      messages: [
+        { role: 'system', content: 'Answer briefly.' },
+        { role: 'user', content: 'Hello' },
+        { role: 'assistant', content: 'Hi!' },
+        { role: 'user', content: [{ type: 'text', text: 'How are you?' }] },
+      ],
+    },
+  });
+  assert.equal(response.status, 200);
+  await response.text();
+
+  assert.equal(calls.length, 1);
+  const [call] = calls;
+  assert.equal(call.path, '/v1beta/models/gemini-2.5-flash:generateContent');
+  assert.equal(call.key, makeKey(1));
+  assert.match(call.body.system_instruction.parts[0].text, /--- 用户附加指令 ---\nAnswer briefly\.$/);
+  assert.deepEqual(call.body.contents, [
+    { role: 'user', parts: [{ text: 'Hello' }] },
+    { role: 'model', parts: [{ text: 'Hi!' }] },
+    { role: 'user', parts: [{ text: 'How are you?' }] },
+  ]);
+  assert.deepEqual(call.body.generationConfig, { temperature: 0.3, maxOutputTokens: 100, stopSequences: ['END'] });
+});
+
+test('a conversation that starts with the model gets a leading user turn', async () => {
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  const response = await request('/v1/chat/completions', {
+    headers: auth,
+    body: { model: 'gemini-2.5-flash', messages: [{ role: 'assistant', content: 'Hi' }, { role: 'user', content: 'Go' }] },
+  });
+  await response.text();
+  assert.deepEqual(calls[0].body.contents.map(content => content.role), ['user', 'model', 'user']);
+});
+
+test('Gemini responses are returned as chat.completion objects with usage', async () => {
+  stubUpstream(() => json(geminiReply('Hello there', {
+    modelVersion: 'gemini-2.5-flash-001',
+    usage: { promptTokenCount: 12, candidatesTokenCount: 3, totalTokenCount: 15 },
+  })));
+  const response = await request('/v1/chat/completions', {
+    headers: auth,
+    body: { model: 'gemini-2.5-flash', messages: [{ role: 'user', content: 'Hi' }] },
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('access-control-allow-origin'), '*');
+  const body = await response.json();
+  assert.equal(body.object, 'chat.completion');
+  assert.match(body.id, /^chatcmpl-/);
+  assert.equal(body.model, 'gemini-2.5-flash-001');
+  assert.deepEqual(body.choices, [{
+    index: 0,
+    message: { role: 'assistant', content: 'Hello there' },
+    logprobs: null,
+    finish_reason: 'stop',
+  }]);
+  assert.equal(body.usage.prompt_tokens, 12);
+  assert.equal(body.usage.completion_tokens, 3);
+  assert.equal(body.usage.total_tokens, 15);
+});
+
+test('finish reasons are mapped to OpenAI values', async () => {
+  stubUpstream(() => json(geminiReply('cut', { finishReason: 'MAX_TOKENS' })));
+  const response = await request('/v1/chat/completions', {
+    headers: auth,
+    body: { model: 'gemini-2.5-flash', messages: [{ role: 'user', content: 'Hi' }] },
+  });
+  const body = await response.json();
+  assert.equal(body.choices[0].finish_reason, 'length');
+});
+
+test('Gemini errors are returned as OpenAI error bodies', async () => {
+  stubUpstream(() => geminiError(400, 'Invalid value at contents', { status: 'INVALID_ARGUMENT' }));
+  const response = await request('/v1/chat/completions', {
+    headers: auth,
+    body: { model: 'gemini-2.5-flash', messages: [{ role: 'user', content: 'Hi' }] },
+  });
+  assert.equal(response.status, 400);
+  assert.deepEqual(await response.json(), {
+    error: { message: 'Invalid value at contents', type: 'invalid_request_error', code: 'INVALID_ARGUMENT' },
+  });
+});
+
+test('non-JSON upstream errors are passed through as the message', async () => {
+  stubUpstream(() => new Response('upstream exploded', { status: 500 }));
+  const response = await request('/v1/chat/completions', {
+    headers: auth,
+    body: { model: 'gemini-2.5-flash', messages: [{ role: 'user', content: 'Hi' }] },
+  });
+  assert.equal(response.status, 500);
+  assert.deepEqual(await response.json(), { error: { message: 'upstream exploded', type: 'api_error', code: 500 } });
+});
+
+test('request validation errors use the OpenAI error format', async () => {
+  stubUpstream(() => assert.fail('upstream should not be called'));
+  const cases = [
+    [{ headers: auth, body: 'not json' }, 400, /Invalid JSON in request body/],
+    [{ headers: auth, body: { model: 'gemini-2.5-flash' } }, 400, /Missing or invalid 'messages' field/],
+    [{ headers: auth, body: { model: 'gemini-2.5-flash', messages: [] } }, 400, /Messages array cannot be empty/],
+    [{ headers: auth, method: 'PUT', body: { messages: [] } }, 400, /HTTP method is not allowed/],
+    [{ body: { messages: [{ role: 'user', content: 'Hi' }] } }, 401, /Authorization header is required/],
+  ];
+  for (const [options, status, message] of cases) {
+    const response = await request('/v1/chat/completions', options);
+    assert.equal(response.status, status);
+    const { error } = await response.json();
+    assert.match(error.message, message);
+    assert.equal(error.code, status);
+  }
+});
+
+test('a JSON body that is not an object is rejected on every OpenAI route', async () => {
+  stubUpstream(() => assert.fail('upstream should not be called'));
+  for (const path of ['/v1/chat/completions', '/v1/completions', '/v1/embeddings']) {
+    for (const body of ['null', '[]', '"text"']) {
+      const response = await request(path, { headers: auth, body });
+      assert.equal(response.status, 400);
+      assert.deepEqual(await response.json(), {
+        error: { message: 'Request body must be a JSON object', type: 'invalid_request_error', code: 400 },
+      });
+    }
+  }
+});
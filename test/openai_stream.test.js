@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { geminiError, geminiReply, makeEnv, readEvents, request, sse, stubUpstream } from './helpers.js';
+
+const auth = { Authorization: 'Bearer client-token' };
+
+const chunks = [
+  { candidates: [{ content: { role: 'model', parts: [{ text: 'Hel' }] }, index: 0 }] },
+  { candidates: [{ content: { role: 'model', parts: [{ text: 'lo' }] }, index: 0 }] },
+  geminiReply('!', { usage: { promptTokenCount: 4, candidatesTokenCount: 3, totalTokenCount: 7 } }),
+];
+
+const streamRequest = (extra = {}) => request('/v1/chat/completions', {
+  headers: auth,
+  body: { model: 'gemini-2.5-flash', stream: true, messages: [{ role: 'user', content: 'Hi' }], ...extra },
+});
+
+test('streaming requests are sent with alt=sse and re-emitted as chat.completion.chunk events', async () => {
+  const calls = stubUpstream(() => sse(chunks));
+  const response = await streamRequest();
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'text/event-stream');
+  assert.equal(calls[0].path, '/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse');
+
+  const events = await readEvents(response);
+  assert.equal(events.at(-1).data, '[DONE]');
+  const objects = events.slice(0, -1).map(event => event.data);
+  assert.ok(objects.every(obj => obj.object === 'chat.completion.chunk' && obj.id === objects[0].id));
+  assert.deepEqual(objects[0].choices[0].delta, { role: 'assistant', content: '' });
+  assert.equal(objects.map(obj => obj.choices[0].delta.content ?? '').join(''), 'Hello!');
+
+  const last = objects.at(-1);
+  assert.equal(last.choices[0].finish_reason, 'stop');
+  assert.deepEqual(last.choices[0].delta, {});
+  assert.ok(objects.slice(0, -1).every(obj => obj.choices[0].finish_reason === undefined));
+  assert.ok(objects.every(obj => obj.usage === undefined), 'no usage without stream_options.include_usage');
+});
+
+test('stream_options.include_usage adds a separate usage chunk before [DONE]', async () => {
+  stubUpstream(() => sse(chunks));
+  const events = await readEvents(await streamRequest({ stream_options: { include_usage: true } }));
+  assert.equal(events.at(-1).data, '[DONE]');
+  const usageChunk = events.at(-2).data;
+  assert.deepEqual(usageChunk.choices, []);
+  assert.equal(usageChunk.usage.prompt_tokens, 4);
+  assert.equal(usageChunk.usage.completion_tokens, 3);
+  assert.equal(usageChunk.usage.total_tokens, 7);
+  assert.ok(events.slice(0, -2).every(({ data }) => data.usage === null));
+});
+
+test('the finish chunk and [DONE] are sent even when Gemini omits finishReason', async () => {
+  stubUpstream(() => sse([chunks[0]]));
+  const events = await readEvents(await streamRequest());
+  assert.equal(events.at(-1).data, '[DONE]');
+  assert.equal(events.at(-2).data.object, 'chat.completion.chunk');
+});
+
+test('upstream errors in streaming mode are returned as OpenAI error bodies', async () => {
+  stubUpstream(() => geminiError(429, 'Resource has been exhausted', { status: 'RESOURCE_EXHAUSTED' }));
+  const response = await request('/v1/chat/completions', {
+    env: makeEnv({ GEMINI_MAX_RETRIES: '0' }),
+    headers: auth,
+    body: { model: 'gemini-2.5-flash', stream: true, messages: [{ role: 'user', content: 'Hi' }] },
+  });
+  assert.equal(response.status, 429);
+  assert.equal((await response.json()).error.type, 'rate_limit_error');
+});
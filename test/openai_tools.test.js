@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { geminiReply, json, readEvents, request, sse, stubUpstream } from './helpers.js';
+
+const auth = { Authorization: 'Bearer client-token' };
+
+const weatherTool = {
+  type: 'function',
+  function: {
+    name: 'get_weather',
+    description: 'Get the weather',
+    parameters: {
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      type: 'object',
+      properties: { city: { type: 'string' } },
+      required: ['city'],
+      additionalProperties: false,
+    },
+  },
+};
+
+const chat = (body) => request('/v1/chat/completions', {
+  headers: auth,
+  body: { model: 'gemini-2.5-flash', messages: [{ role: 'user', content: 'Weather?' }], ...body },
+});
+
+test('tools and tool_choice are translated to function declarations and function calling config', async () => {
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  const choices = [
+    ['auto', { mode: 'AUTO' }],
+    ['none', { mode: 'NONE' }],
+    ['required', { mode: 'ANY' }],
+    [{ type: 'function', function: { name: 'get_weather' } }, { mode: 'ANY', allowed_function_names: ['get_weather'] }],
+  ];
+  for (const [tool_choice, config] of choices) {
+    const response = await chat({ tools: [structuredClone(weatherTool)], tool_choice });
+    assert.equal(response.status, 200);
+    await response.text();
+    assert.deepEqual(calls.at(-1).body.tool_config, { function_calling_config: config });
+  }
+  assert.deepEqual(calls[0].body.tools, [{
+    function_declarations: [{
+      name: 'get_weather',
+      description: 'Get the weather',
+      parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] },
+    }],
+  }]);
+});
+
+test('unsupported tool_choice values are rejected', async () => {
+  stubUpstream(() => assert.fail('upstream should not be called'));
+  const response = await chat({ tools: [weatherTool], tool_choice: 'sometimes' });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error.message, /Unsupported tool_choice/);
+});
+
+test('assistant tool_calls and tool results become functionCall and functionResponse parts', async () => {
+  const calls = stubUpstream(() => json(geminiReply('Sunny in both')));
+  const response = await chat({
+    tools: [weatherTool],
+    messages: [
+      { role: 'user', content: 'Weather in Paris and Rome?' },
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [
+          { id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+          { id: 'call_2', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Rome"}' } },
+        ],
+      },
+      { role: 'tool', tool_call_id: 'call_1', content: '{"temp":20}' },
+      { role: 'tool', tool_call_id: 'call_2', content: 'sunny' },
+    ],
+  });
+  assert.equal(response.status, 200);
+  await response.text();
+  assert.deepEqual(calls[0].body.contents.slice(1), [
+    {
+      role: 'model',
+      parts: [
+        { functionCall: { name: 'get_weather', args: { city: 'Paris' } } },
+        { functionCall: { name: 'get_weather', args: { city: 'Rome' } } },
+      ],
+    },
+    {
+      role: 'function',
+      parts: [
+        { functionResponse: { name: 'get_weather', response: { temp: 20 } } },
+        { functionResponse: { name: 'get_weather', response: { result: 'sunny' } } },
+      ],
+    },
+  ]);
+});
+
+test('tool results without a matching tool call are rejected', async () => {
+  stubUpstream(() => assert.fail('upstream should not be called'));
+  const response = await chat({
+    messages: [
+      { role: 'user', content: 'Hi' },
+      { role: 'tool', tool_call_id: 'call_missing', content: '{}' },
+    ],
+  });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error.message, /No tool_call found for tool_call_id: "call_missing"/);
+});
+
+test('Gemini function calls are returned as tool_calls', async () => {
+  stubUpstream(() => json(geminiReply([
+    { functionCall: { id: 'gemini-call-1', name: 'get_weather', args: { city: 'Paris' } } },
+    { functionCall: { name: 'get_weather', args: { city: 'Rome' } } },
+  ])));
+  const body = await (await chat({ tools: [weatherTool] })).json();
+  const [choice] = body.choices;
+  assert.equal(choice.finish_reason, 'tool_calls');
+  assert.equal(choice.message.content, null);
+  assert.equal(choice.message.tool_calls.length, 2);
+  assert.deepEqual(choice.message.tool_calls[0], {
+    id: 'gemini-call-1',
+    type: 'function',
+    function: { name: 'get_weather', arguments: '{"city":"Paris"}' },
+  });
+  assert.match(choice.message.tool_calls[1].id, /^call_/);
+  assert.equal(choice.message.tool_calls[1].function.arguments, '{"city":"Rome"}');
+});
+
+test('streamed function calls get increasing tool_call indexes and a tool_calls finish reason', async () => {
+  stubUpstream(() => sse([
+    { candidates: [{ content: { parts: [{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } }] }, index: 0 }] },
+    geminiReply([{ functionCall: { name: 'get_weather', args: { city: 'Rome' } } }]),
+  ]));
+  const events = await readEvents(await chat({ tools: [weatherTool], stream: true }));
+  const toolCalls = events
+    .flatMap(({ data }) => data.choices?.[0]?.delta?.tool_calls ?? []);
+  assert.deepEqual(toolCalls.map(call => [call.index, call.function.arguments]), [[0, '{"city":"Paris"}'], [1, '{"city":"Rome"}']]);
+  assert.ok(toolCalls.every(call => /^call_/.test(call.id)));
+  assert.equal(events.at(-2).data.choices[0].finish_reason, 'tool_calls');
+});
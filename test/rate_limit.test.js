@@ -0,0 +1,159 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CloudflareDurableObjectStore, MemoryStore, RateLimitCounter, setRateLimitStore } from '../src/rate_limit.js';
+import { geminiReply, json, makeEnv, makeKey, request, stubUpstream } from './helpers.js';
+
+const generate = (env, client) => request('/v1beta/models/gemini-2.5-flash:generateContent', {
+  env,
+  headers: { Authorization: `Bearer ${client}` },
+  body: { contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] },
+});
+
+test('callers over RATE_LIMIT_CLIENT_RPM get a 429 with Retry-After in the format of the route', async () => {
+  stubUpstream(() => json(geminiReply('ok')));
+  const env = makeEnv({ RATE_LIMIT_CLIENT_RPM: '2' });
+  for (let i = 0; i < 2; i++) {
+    assert.equal((await generate(env, 'client-rpm')).status, 200);
+  }
+  const google = await generate(env, 'client-rpm');
+  assert.equal(google.status, 429);
+  const retryAfter = Number(google.headers.get('retry-after'));
+  assert.ok(retryAfter > 0 && retryAfter <= 60);
+  assert.equal((await google.json()).error.status, 'RESOURCE_EXHAUSTED');
+
+  const openai = await request('/v1/chat/completions', {
+    env, headers: { Authorization: 'Bearer client-rpm' }, body: { messages: [{ role: 'user', content: 'Hi' }] },
+  });
+  assert.equal(openai.status, 429);
+  assert.deepEqual((await openai.json()).error.type, 'rate_limit_error');
+
+  const anthropic = await request('/v1/messages', {
+    env, headers: { 'x-api-key': 'client-rpm' }, body: { max_tokens: 1, messages: [{ role: 'user', content: 'Hi' }] },
+  });
+  assert.equal(anthropic.status, 429);
+  assert.equal((await anthropic.json()).type, 'error');
+
+  assert.equal((await generate(env, 'another-client')).status, 200, 'other callers have their own budget');
+});
+
+test('keys over their RPM budget are skipped, and a 429 is returned when every key is over budget', async () => {
+  const keys = [makeKey(601), makeKey(602)];
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  const env = makeEnv({ GEMINI_API_KEY_LIST: JSON.stringify(keys), RATE_LIMIT_KEY_RPM: '1' });
+  for (let i = 0; i < 2; i++) {
+    assert.equal((await generate(env, 'key-rpm')).status, 200);
+  }
+  assert.deepEqual(calls.map(call => call.key).sort(), keys);
+
+  const response = await generate(env, 'key-rpm');
+  assert.equal(response.status, 429);
+  assert.ok(Number(response.headers.get('retry-after')) > 0);
+  assert.match((await response.json()).error.message, /All API keys have reached/);
+  assert.equal(calls.length, 2);
+});
+
+test('RATE_LIMIT_KEY_TPM counts the estimated tokens of the request body', async () => {
+  stubUpstream(() => json(geminiReply('ok')));
+  const env = makeEnv({ GEMINI_API_KEY_LIST: JSON.stringify([makeKey(611)]), RATE_LIMIT_KEY_TPM: '100' });
+  const send = (text) => request('/v1beta/models/gemini-2.5-flash:generateContent', {
+    env, body: { contents: [{ role: 'user', parts: [{ text }] }] },
+  });
+  assert.equal((await send('x'.repeat(200))).status, 200);
+  const response = await send('x'.repeat(200));
+  assert.equal(response.status, 429);
+  await response.text();
+});
+
+test('a failing rate limit store lets requests through', async (t) => {
+  t.after(() => setRateLimitStore(new MemoryStore()));
+  setRateLimitStore({
+    get: async () => { throw new Error('KV PUT failed: 429 Too Many Requests'); },
+    incr: async () => { throw new Error('KV PUT failed: 429 Too Many Requests'); },
+  });
+  stubUpstream(() => json(geminiReply('ok')));
+  const env = makeEnv({ RATE_LIMIT_CLIENT_RPM: '1', RATE_LIMIT_KEY_RPM: '1' });
+  for (let i = 0; i < 3; i++) {
+    const response = await generate(env, 'store-down');
+    assert.equal(response.status, 200);
+    await response.text();
+  }
+});
+
+test('the memory store drops expired counters from past windows', async (t) => {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const store = new MemoryStore();
+  for (let minute = 0; minute < 30; minute++) {
+    now += 60 * 1000;
+    await store.incr(`client:rpm:${minute}`, 1, 60 * 1000);
+  }
+  assert.ok(store.counters.size <= 2, `expected at most 2 live counters, found ${store.counters.size}`);
+  assert.equal(await store.get('client:rpm:29'), 1);
+});
+
+// Durable Object 存储和命名空间的替身: 存储读写是异步的；与运行时一样，同一实例的请求依次处理
+const fakeStorage = () => {
+  const data = new Map();
+  let alarm = null;
+  const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+  return {
+    data,
+    get: async (name) => { await tick(); return data.get(name); },
+    put: async (name, value) => { await tick(); data.set(name, value); },
+    delete: async (name) => data.delete(name),
+    list: async () => new Map(data),
+    getAlarm: async () => alarm,
+    setAlarm: async (time) => { alarm = time; },
+  };
+};
+
+const fakeNamespace = () => {
+  const objects = new Map();
+  return {
+    objects,
+    idFromName: (name) => name,
+    get: (id) => {
+      if (!objects.has(id)) {
+        objects.set(id, { counter: new RateLimitCounter({ storage: fakeStorage() }), queue: Promise.resolve() });
+      }
+      const object = objects.get(id);
+      return {
+        fetch: (url, init) => {
+          const response = object.queue.then(() => object.counter.fetch(new Request(url, init)));
+          object.queue = response.catch(() => {});
+          return response;
+        },
+      };
+    },
+  };
+};
+
+test('the Durable Object store enforces limits on concurrent bursts', async (t) => {
+  t.after(() => setRateLimitStore(new MemoryStore()));
+  const namespace = fakeNamespace();
+  setRateLimitStore(new CloudflareDurableObjectStore(namespace));
+  stubUpstream(() => json(geminiReply('ok')));
+  const env = makeEnv({ RATE_LIMIT_CLIENT_RPM: '3' });
+  const responses = await Promise.all(Array.from({ length: 10 }, () => generate(env, 'burst')));
+  const statuses = responses.map(response => response.status);
+  assert.equal(statuses.filter(status => status === 200).length, 3);
+  assert.equal(statuses.filter(status => status === 429).length, 7);
+  await Promise.all(responses.map(response => response.text()));
+  assert.equal(namespace.objects.size, 1, 'one counter object per caller');
+});
+
+test('the Durable Object counter removes expired counters when its alarm fires', async (t) => {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const storage = fakeStorage();
+  const counter = new RateLimitCounter({ storage });
+  await counter.incr('client:rpm:1', 1, 60 * 1000);
+  await counter.incr('client:rpd:1', 1, 24 * 60 * 60 * 1000);
+  assert.equal(await storage.getAlarm(), now + 60 * 1000);
+
+  now += 2 * 60 * 1000;
+  await counter.alarm();
+  assert.deepEqual([...storage.data.keys()], ['client:rpd:1']);
+  assert.equal(await storage.getAlarm(), storage.data.get('client:rpd:1').expiresAt);
+  assert.equal(await counter.get('client:rpd:1'), 1);
+});
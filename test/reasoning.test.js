@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { geminiReply, json, readEvents, request, sse, stubUpstream } from './helpers.js';
+
+const auth = { Authorization: 'Bearer client-token' };
+
+const chat = (extra) => request('/v1/chat/completions', {
+  headers: auth,
+  body: { model: 'gemini-2.5-flash', messages: [{ role: 'user', content: 'Hi' }], ...extra },
+});
+
+const thinking = [{ text: 'Let me think. ', thought: true }, { text: 'Done.', thought: true }, { text: 'Answer' }];
+const usage = { promptTokenCount: 5, candidatesTokenCount: 2, thoughtsTokenCount: 30, totalTokenCount: 37 };
+
+test('reasoning_effort maps to a thinkingBudget and include_reasoning asks for thoughts', async () => {
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  const budgets = { none: 0, minimal: 512, low: 1024, medium: 8192, high: 24576 };
+  for (const [effort, thinkingBudget] of Object.entries(budgets)) {
+    await (await chat({ reasoning_effort: effort })).text();
+    assert.deepEqual(calls.at(-1).body.generationConfig.thinkingConfig, { thinkingBudget });
+  }
+  await (await chat({ reasoning_effort: 'low', include_reasoning: true })).text();
+  assert.deepEqual(calls.at(-1).body.generationConfig.thinkingConfig, { thinkingBudget: 1024, includeThoughts: true });
+  await (await chat({})).text();
+  assert.equal(calls.at(-1).body.generationConfig?.thinkingConfig, undefined, 'the model default is kept when nothing is asked');
+
+  const response = await chat({ reasoning_effort: 'extreme' });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error.message, /Unsupported reasoning_effort: extreme/);
+});
+
+test('thought parts are returned as reasoning_content and counted as reasoning tokens', async () => {
+  stubUpstream(() => json(geminiReply(thinking, { usage })));
+  const result = await (await chat({ include_reasoning: true })).json();
+  const { message } = result.choices[0];
+  assert.equal(message.content, 'Answer');
+  assert.equal(message.reasoning_content, 'Let me think. Done.');
+  assert.equal(result.usage.completion_tokens, 32);
+  assert.deepEqual(result.usage.completion_tokens_details, { reasoning_tokens: 30 });
+});
+
+test('streamed thoughts arrive as delta.reasoning_content, separate from content', async () => {
+  stubUpstream(() => sse([
+    { candidates: [{ content: { role: 'model', parts: [thinking[0]] }, index: 0 }] },
+    { candidates: [{ content: { role: 'model', parts: [thinking[1]] }, index: 0 }] },
+    geminiReply([thinking[2]], { usage }),
+  ]));
+  const events = await readEvents(await chat({ stream: true, include_reasoning: true, stream_options: { include_usage: true } }));
+  const objects = events.slice(0, -1).map(event => event.data);
+  const deltas = objects.filter(obj => obj.choices.length).map(obj => obj.choices[0].delta);
+  assert.equal(deltas.map(delta => delta.reasoning_content ?? '').join(''), 'Let me think. Done.');
+  assert.equal(deltas.map(delta => delta.content ?? '').join(''), 'Answer');
+  assert.ok(deltas.every(delta => !(delta.reasoning_content && delta.content)));
+  assert.equal(objects.at(-1).usage.completion_tokens_details.reasoning_tokens, 30);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CACHE_HEADER, setResponseCacheStore, MemoryCacheStore } from '../src/response_cache.js';
+import { geminiReply, json, makeEnv, makeKey, request, stubUpstream } from './helpers.js';
+
+const env = makeEnv({ RESPONSE_CACHE_TTL: '60' });
+const auth = { Authorization: 'Bearer client-token' };
+
+// 每个测试使用不同的提示词，避免命中其他测试写入的缓存
+const chat = (text, extra = {}, headers = auth) => request('/v1/chat/completions', {
+  env, headers, body: { model: 'gemini-2.5-flash', temperature: 0, messages: [{ role: 'user', content: text }], ...extra },
+});
+
+const cacheStatus = async (response) => {
+  assert.equal(response.status, 200);
+  await response.text();
+  return response.headers.get(CACHE_HEADER);
+};
+
+test('deterministic requests are cached regardless of field order', async () => {
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  assert.equal(await cacheStatus(await chat('order')), 'MISS');
+  const reordered = await request('/v1/chat/completions', {
+    env, headers: auth, body: { messages: [{ content: 'order', role: 'user' }], temperature: 0, model: 'gemini-2.5-flash' },
+  });
+  assert.equal(await cacheStatus(reordered), 'HIT');
+  assert.equal(calls.length, 1);
+
+  const sampled = await chat('order', { temperature: 0.7 });
+  assert.equal(sampled.headers.get(CACHE_HEADER), null);
+  await sampled.text();
+  assert.equal(calls.length, 2);
+});
+
+test('callers with different credentials do not share cached responses', async () => {
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  const callers = [
+    auth,
+    { Authorization: 'Bearer other-token' },
+    { 'x-goog-api-key': makeKey(901) },
+    { 'x-goog-api-key': makeKey(902) },
+  ];
+  for (const headers of callers) {
+    assert.equal(await cacheStatus(await chat('shared prompt', {}, headers)), 'MISS');
+  }
+  for (const headers of callers) {
+    assert.equal(await cacheStatus(await chat('shared prompt', {}, headers)), 'HIT');
+  }
+  assert.equal(calls.length, callers.length);
+  assert.deepEqual(calls.slice(2).map(call => call.key), [makeKey(901), makeKey(902)]);
+
+  // 模型详情同样按调用方区分
+  const detail = (headers) => request('/v1beta/models/gemini-2.5-flash', { env, method: 'GET', headers });
+  stubUpstream(() => json({ name: 'models/gemini-2.5-flash' }));
+  assert.equal(await cacheStatus(await detail(auth)), 'MISS');
+  assert.equal(await cacheStatus(await detail(auth)), 'HIT');
+  assert.equal(await cacheStatus(await detail({ 'x-goog-api-key': makeKey(903) })), 'MISS');
+});
+
+test('Cache-Control: no-cache refreshes the entry and no-store bypasses the cache', async () => {
+  const calls = stubUpstream(() => json(geminiReply(`reply ${calls.length}`)));
+  await (await chat('directives')).text();
+  const refreshed = await chat('directives', {}, { ...auth, 'Cache-Control': 'no-cache' });
+  assert.equal(await cacheStatus(refreshed), 'MISS');
+  const cached = await (await chat('directives')).json();
+  assert.equal(cached.choices[0].message.content, 'reply 2');
+
+  const bypassed = await chat('no store', {}, { ...auth, 'Cache-Control': 'no-store' });
+  assert.equal(await cacheStatus(bypassed), 'MISS');
+  assert.equal(await cacheStatus(await chat('no store')), 'MISS');
+  assert.equal(calls.length, 4);
+});
+
+test('a failing cache store does not fail the request', async () => {
+  setResponseCacheStore({
+    get: async () => { throw new Error('store down'); },
+    put: async () => { throw new Error('store down'); },
+  });
+  try {
+    stubUpstream(() => json(geminiReply('ok')));
+    const response = await chat('store errors');
+    assert.equal(await cacheStatus(response), 'MISS');
+  } finally {
+    setResponseCacheStore(new MemoryCacheStore());
+  }
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { geminiError, geminiReply, json, makeEnv, readEvents, request, sse, stubUpstream } from './helpers.js';
+
+const auth = { Authorization: 'Bearer client-token' };
+
+const respond = (body) => request('/v1/responses', { headers: auth, body: { model: 'gpt-4o', ...body } });
+
+test('instructions, input items and function tools are translated to Gemini', async () => {
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  const response = await respond({
+    instructions: 'Be brief.',
+    max_output_tokens: 100,
+    reasoning: { effort: 'low', summary: 'auto' },
+    tools: [{ type: 'function', name: 'lookup', description: 'Search', parameters: { type: 'object', properties: { q: { type: 'string' } } } }],
+    tool_choice: 'required',
+    input: [
+      { role: 'developer', content: 'Use tools.' },
+      { role: 'user', content: [{ type: 'input_text', text: 'Find x' }] },
+      { type: 'reasoning', summary: [] },
+      { type: 'function_call', call_id: 'call_1', name: 'lookup', arguments: '{"q":"x"}' },
+      { type: 'function_call_output', call_id: 'call_1', output: '42' },
+    ],
+  });
+  assert.equal(response.status, 200);
+  await response.text();
+
+  const [call] = calls;
+  assert.equal(call.path, '/v1beta/models/gemini-2.5-flash:generateContent');
+  assert.deepEqual(call.body.system_instruction, { parts: [{ text: 'Be brief.\n\nUse tools.' }] });
+  assert.deepEqual(call.body.contents, [
+    { role: 'user', parts: [{ text: 'Find x' }] },
+    { role: 'model', parts: [{ functionCall: { name: 'lookup', args: { q: 'x' } } }] },
+    { role: 'user', parts: [{ functionResponse: { name: 'lookup', response: { result: 42 } } }] },
+  ]);
+  assert.deepEqual(call.body.generationConfig, { maxOutputTokens: 100, thinkingConfig: { thinkingBudget: 1024, includeThoughts: true } });
+  assert.equal(call.body.tools[0].function_declarations[0].name, 'lookup');
+  assert.equal(call.body.tool_config.function_calling_config.mode, 'ANY');
+});
+
+test('a Gemini reply becomes a response object with reasoning, message and function_call items', async () => {
+  stubUpstream(() => json(geminiReply([
+    { text: 'Thinking', thought: true },
+    { text: 'Hello' },
+    { functionCall: { name: 'lookup', args: { q: 'y' } } },
+  ], { usage: { promptTokenCount: 9, candidatesTokenCount: 3, thoughtsTokenCount: 2, totalTokenCount: 14 } })));
+  const result = await (await respond({ input: 'Hi' })).json();
+  assert.equal(result.object, 'response');
+  assert.equal(result.status, 'completed');
+  assert.match(result.id, /^resp_/);
+  assert.deepEqual(result.output.map(item => item.type), ['reasoning', 'message', 'function_call']);
+  assert.equal(result.output[0].summary[0].text, 'Thinking');
+  assert.deepEqual(result.output[1].content, [{ type: 'output_text', text: 'Hello', annotations: [] }]);
+  assert.equal(result.output[2].arguments, '{"q":"y"}');
+  assert.match(result.output[2].call_id, /^call_/);
+  assert.deepEqual(result.usage, {
+    input_tokens: 9, input_tokens_details: { cached_tokens: 0 },
+    output_tokens: 5, output_tokens_details: { reasoning_tokens: 2 },
+    total_tokens: 14,
+  });
+});
+
+test('MAX_TOKENS makes the response incomplete', async () => {
+  stubUpstream(() => json(geminiReply('Hel', { finishReason: 'MAX_TOKENS' })));
+  const result = await (await respond({ input: 'Hi' })).json();
+  assert.equal(result.status, 'incomplete');
+  assert.deepEqual(result.incomplete_details, { reason: 'max_output_tokens' });
+});
+
+test('streaming emits response.* events with increasing sequence numbers', async () => {
+  stubUpstream(() => sse([
+    { candidates: [{ content: { role: 'model', parts: [{ text: 'Hel' }] }, index: 0 }] },
+    geminiReply('lo'),
+  ]));
+  const response = await respond({ input: 'Hi', stream: true });
+  assert.equal(response.headers.get('content-type'), 'text/event-stream');
+  const events = await readEvents(response);
+  assert.deepEqual(events.map(event => event.event), [
+    'response.created',
+    'response.in_progress',
+    'response.output_item.added',
+    'response.content_part.added',
+    'response.output_text.delta',
+    'response.output_text.delta',
+    'response.output_text.done',
+    'response.content_part.done',
+    'response.output_item.done',
+    'response.completed',
+  ]);
+  assert.deepEqual(events.map(event => event.data.sequence_number), events.map((event, i) => i));
+  assert.equal(events[6].data.text, 'Hello');
+  assert.equal(events.at(-1).data.response.output[0].content[0].text, 'Hello');
+});
+
+test('unsupported requests and upstream errors return OpenAI errors', async () => {
+  const calls = stubUpstream(() => geminiError(503, 'The model is overloaded.', { status: 'UNAVAILABLE' }));
+  for (const [body, message] of [
+    [{ input: 'Hi', previous_response_id: 'resp_1' }, /previous_response_id is not supported/],
+    [{ input: [] }, /at least one message/],
+    [{ input: [{ type: 'function_call_output', call_id: 'missing', output: '1' }] }, /No function_call found/],
+    [{ input: 'Hi', tools: [{ type: 'file_search' }] }, /Unsupported tool type/],
+  ]) {
+    const response = await respond(body);
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error.message, message);
+  }
+  const nullBody = await request('/v1/responses', { headers: auth, body: 'null' });
+  assert.equal(nullBody.status, 400);
+  assert.deepEqual(await nullBody.json(), {
+    error: { message: 'Request body must be a JSON object', type: 'invalid_request_error', code: 400 },
+  });
+  assert.equal(calls.length, 0);
+
+  const response = await respond({ input: 'Hi' });
+  assert.equal(response.status, 503);
+  assert.equal((await response.json()).error.message, 'The model is overloaded.');
+});
+
+test('alias defaults apply when the request does not set them', async () => {
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  const env = makeEnv({
+    MODEL_ALIASES: JSON.stringify({ 'gpt-4o': { model: 'gemini-2.5-pro', defaults: { temperature: 0.2 } } }),
+  });
+  const results = [];
+  for (const body of [{}, { temperature: 1 }]) {
+    const response = await request('/v1/responses', { env, headers: auth, body: { model: 'gpt-4o', input: 'Hi', ...body } });
+    assert.equal(response.status, 200);
+    results.push(await response.json());
+  }
+  assert.equal(calls[0].path, '/v1beta/models/gemini-2.5-pro:generateContent');
+  assert.deepEqual(calls.map(call => call.body.generationConfig.temperature), [0.2, 1]);
+  assert.deepEqual(results.map(result => result.temperature), [0.2, 1]);
+});
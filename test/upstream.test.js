@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { geminiReply, makeEnv, readEvents, request, stubUpstream } from './helpers.js';
+
+const auth = { Authorization: 'Bearer client-token' };
+const prompt = { contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] };
+
+// 响应头立即返回，响应体先发送 chunks，然后一直不结束
+const hanging = (chunks = []) => new Response(new ReadableStream({
+  start(controller) {
+    for (const chunk of chunks) {
+      controller.enqueue(new TextEncoder().encode(`data: ${JSON.stringify(chunk)}\r\n\r\n`));
+    }
+  },
+}), { headers: { 'Content-Type': 'text/event-stream' } });
+
+// 直到请求被中止才结束的上游
+const never = ({ signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+});
+
+const streamingRoutes = [
+  ['/v1beta/models/gemini-2.5-flash:streamGenerateContent?alt=sse', prompt],
+  ['/v1/chat/completions', { model: 'gemini-2.5-flash', stream: true, messages: [{ role: 'user', content: 'Hi' }] }],
+  ['/v1/completions', { model: 'gemini-2.5-flash', stream: true, prompt: 'Hi' }],
+  ['/v1/messages', { model: 'gemini-2.5-flash', stream: true, max_tokens: 10, messages: [{ role: 'user', content: 'Hi' }] }],
+  ['/v1/responses', { model: 'gemini-2.5-flash', stream: true, input: 'Hi' }],
+];
+
+// 各路由格式的 504 错误体
+const assertTimeout = async (path, response, phase) => {
+  assert.equal(response.status, 504, path);
+  const body = await response.json();
+  assert.match(body.error.message, new RegExp(`${phase} timeout of \\d+ms exceeded`), path);
+  if (path.startsWith('/v1beta')) {
+    assert.equal(body.error.status, 'DEADLINE_EXCEEDED');
+  } else {
+    assert.equal(body.error.type, 'timeout_error', path);
+  }
+};
+
+test('a connect timeout on a streaming request returns a 504 in the format of the route', async () => {
+  stubUpstream(never);
+  const env = makeEnv({ UPSTREAM_CONNECT_TIMEOUT: '20' });
+  for (const [path, body] of streamingRoutes) {
+    await assertTimeout(path, await request(path, { env, headers: auth, body }), 'connect');
+  }
+});
+
+test('non-streaming requests wait for the whole generation and are only limited by the total timeout', async () => {
+  const path = '/v1beta/models/gemini-2.5-flash:generateContent';
+  // 响应头在生成结束后才返回
+  stubUpstream(() => new Promise(resolve => setTimeout(() => resolve(new Response(JSON.stringify(geminiReply('ok')), {
+    headers: { 'Content-Type': 'application/json' },
+  })), 60)));
+  const slow = await request(path, { env: makeEnv({ UPSTREAM_CONNECT_TIMEOUT: '20' }), headers: auth, body: prompt });
+  assert.equal(slow.status, 200);
+  assert.equal((await slow.json()).candidates[0].content.parts[0].text, 'ok');
+
+  stubUpstream(never);
+  const env = makeEnv({ UPSTREAM_CONNECT_TIMEOUT: '20', UPSTREAM_TOTAL_TIMEOUT: '50' });
+  for (const [route, body] of [
+    [path, prompt],
+    ['/v1/chat/completions', { model: 'gemini-2.5-flash', messages: [{ role: 'user', content: 'Hi' }] }],
+  ]) {
+    await assertTimeout(route, await request(route, { env, headers: auth, body }), 'total');
+  }
+});
+
+test('streaming routes wait for the first chunk, so a first-byte timeout is a 504 too', async () => {
+  stubUpstream(() => hanging());
+  const env = makeEnv({ UPSTREAM_FIRST_BYTE_TIMEOUT: '20' });
+  for (const [path, body] of streamingRoutes) {
+    await assertTimeout(path, await request(path, { env, headers: auth, body }), 'first_byte');
+  }
+});
+
+test('a timeout after the stream has started ends it with an error event in the format of the route', async () => {
+  const first = { candidates: [{ content: { role: 'model', parts: [{ text: 'Hel' }] }, index: 0 }] };
+  stubUpstream(() => hanging([first]));
+  const env = makeEnv({ UPSTREAM_TOTAL_TIMEOUT: '50' });
+  const send = async (index) => {
+    const [path, body] = streamingRoutes[index];
+    const response = await request(path, { env, headers: auth, body });
+    assert.equal(response.status, 200);
+    return readEvents(response);
+  };
+
+  const chat = await send(1);
+  assert.equal(chat.at(-2).data.choices[0].delta.content, 'Hel');
+  assert.deepEqual(chat.at(-1).data, {
+    error: { message: 'Upstream request timed out (total timeout of 50ms exceeded)', type: 'timeout_error', code: 504 },
+  });
+
+  const completions = await send(2);
+  assert.equal(completions.at(-1).data.error.type, 'timeout_error');
+  assert.ok(completions.every(event => event.data !== '[DONE]'));
+
+  const messages = await send(3);
+  assert.equal(messages.at(-2).data.delta.text, 'Hel');
+  assert.deepEqual(messages.at(-1), {
+    event: 'error',
+    data: { type: 'error', error: { type: 'timeout_error', message: 'Upstream request timed out (total timeout of 50ms exceeded)' } },
+  });
+
+  const responses = await send(4);
+  const last = responses.at(-1);
+  assert.equal(last.event, 'error');
+  assert.equal(last.data.code, 'timeout_error');
+  assert.equal(last.data.sequence_number, responses.at(-2).data.sequence_number + 1);
+  assert.ok(responses.some(event => event.data.delta === 'Hel'));
+});
+
+test('a client disconnect aborts the upstream request', async () => {
+  let upstreamSignal;
+  stubUpstream(({ signal }) => {
+    upstreamSignal = signal;
+    return never({ signal });
+  });
+  const client = new AbortController();
+  const pending = request('/v1/chat/completions', {
+    headers: auth, signal: client.signal, body: { model: 'gemini-2.5-flash', messages: [{ role: 'user', content: 'Hi' }] },
+  });
+  await new Promise(resolve => setTimeout(resolve, 10));
+  client.abort();
+  const response = await pending;
+  assert.equal(response.status, 499);
+  await response.text();
+  assert.equal(upstreamSignal.aborted, true);
+  assert.equal(upstreamSignal.reason.name, 'ClientAbortError');
+});
+
+test('non-streaming responses are unaffected by waiting for the first chunk', async () => {
+  stubUpstream(() => new Response(JSON.stringify(geminiReply('ok')), { headers: { 'Content-Type': 'application/json' } }));
+  const response = await request('/v1beta/models/gemini-2.5-flash:generateContent', { headers: auth, body: prompt });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).candidates[0].content.parts[0].text, 'ok');
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { maskKey } from '../src/logger.js';
+import { geminiError, geminiReply, json, makeEnv, makeKey, readEvents, request, stubUpstream } from './helpers.js';
+
+const verify = async (env, path = '/verify', body) => {
+  const response = await request(path, { env, body });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'text/event-stream');
+  const events = (await readEvents(response)).map(event => event.data);
+  return { results: events.slice(0, -1), summary: events.at(-1) };
+};
+
+test('/verify checks every key and classifies the failures', async () => {
+  const keys = Array.from({ length: 7 }, (_, i) => makeKey(501 + i));
+  const outcomes = {
+    [keys[0]]: () => json(geminiReply('ok')),
+    [keys[1]]: () => geminiError(429, 'Quota exceeded', { status: 'RESOURCE_EXHAUSTED' }),
+    [keys[2]]: () => geminiError(400, 'API key not valid.', { status: 'INVALID_ARGUMENT', details: [{ reason: 'API_KEY_INVALID' }] }),
+    [keys[3]]: () => geminiError(400, 'User location is not supported for the API use.', { status: 'FAILED_PRECONDITION' }),
+    [keys[4]]: () => geminiError(403, 'Permission denied', { status: 'PERMISSION_DENIED' }),
+    [keys[5]]: () => geminiError(404, 'models/x is not found', { status: 'NOT_FOUND' }),
+    [keys[6]]: () => { throw new TypeError('fetch failed'); },
+  };
+  stubUpstream(({ key }) => outcomes[key]());
+  const { results, summary } = await verify(makeEnv({ GEMINI_API_KEY_LIST: JSON.stringify(keys) }));
+
+  const byKey = Object.fromEntries(results.map(result => [result.key, result]));
+  assert.equal(results.length, keys.length);
+  assert.deepEqual(keys.map(key => [byKey[maskKey(key)].status, byKey[maskKey(key)].reason]), [
+    ['GOOD', undefined],
+    ['BAD', 'quota_exhausted'],
+    ['BAD', 'invalid_key'],
+    ['BAD', 'region_blocked'],
+    ['BAD', 'permission_denied'],
+    ['BAD', 'model_not_found'],
+    ['ERROR', 'network_error'],
+  ]);
+  assert.equal(byKey[maskKey(keys[1])].status_code, 429);
+  assert.equal(byKey[maskKey(keys[1])].error, 'Quota exceeded');
+  assert.ok(results.every(result => typeof result.latency_ms === 'number' && result.model === 'gemini-2.5-flash'));
+  assert.deepEqual(summary, {
+    type: 'summary',
+    model: 'gemini-2.5-flash',
+    total: 7,
+    good: 1,
+    bad: 5,
+    error: 1,
+    reasons: { quota_exhausted: 1, invalid_key: 1, region_blocked: 1, permission_denied: 1, model_not_found: 1, network_error: 1 },
+  });
+});
+
+test('/verify runs at most VERIFY_CONCURRENCY checks at a time', async () => {
+  const keys = Array.from({ length: 6 }, (_, i) => makeKey(521 + i));
+  let running = 0, peak = 0;
+  stubUpstream(async () => {
+    peak = Math.max(peak, ++running);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    running--;
+    return json(geminiReply('ok'));
+  });
+  const { summary } = await verify(makeEnv({ GEMINI_API_KEY_LIST: JSON.stringify(keys), VERIFY_CONCURRENCY: '2' }));
+  assert.equal(summary.good, 6);
+  assert.equal(peak, 2);
+});
+
+test('/verify reports keys that exceed VERIFY_TIMEOUT', async () => {
+  // AbortSignal.timeout() 的定时器不会让进程保持运行，这里用一个普通定时器等待中止
+  stubUpstream(({ signal }) => new Promise((resolve, reject) => {
+    const keepAlive = setTimeout(resolve, 5000);
+    signal.addEventListener('abort', () => {
+      clearTimeout(keepAlive);
+      reject(signal.reason);
+    }, { once: true });
+  }));
+  const { results, summary } = await verify(makeEnv({ VERIFY_TIMEOUT: '20' }));
+  assert.equal(results[0].status, 'ERROR');
+  assert.equal(results[0].reason, 'timeout');
+  assert.equal(summary.error, 1);
+});
+
+test('the test model comes from ?model=, the request body or VERIFY_MODEL', async () => {
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  const env = makeEnv({ VERIFY_MODEL: 'gemini-2.5-flash-lite' });
+  assert.equal((await verify(env)).summary.model, 'gemini-2.5-flash-lite');
+  assert.equal((await verify(env, '/verify?model=models/gemini-2.5-pro')).summary.model, 'gemini-2.5-pro');
+  assert.equal((await verify(env, '/verify', { model: 'gemini-2.0-flash' })).summary.model, 'gemini-2.0-flash');
+  assert.deepEqual(calls.map(call => call.path), [
+    '/v1beta/models/gemini-2.5-flash-lite:generateContent',
+    '/v1beta/models/gemini-2.5-pro:generateContent',
+    '/v1beta/models/gemini-2.0-flash:generateContent',
+  ]);
+});
+
+test('a test model that is not a model name is a 400 and nothing is sent upstream', async () => {
+  const calls = stubUpstream(() => json(geminiReply('ok')));
+  for (const [path, body] of [
+    [`/verify?model=${encodeURIComponent('../../v1beta/cachedContents?x=')}`],
+    ['/verify?model=gemini%2F..%2Fx'],
+    ['/verify', { model: 5 }],
+    ['/verify', { model: '' }],
+  ]) {
+    const response = await request(path, { body });
+    assert.equal(response.status, 400, path);
+    assert.match((await response.json()).error, /^Invalid model name/);
+  }
+  assert.equal(calls.length, 0);
+});